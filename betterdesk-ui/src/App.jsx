@@ -3,9 +3,10 @@ import React, {
   useEffect,
   useCallback,
   useMemo,
-  createContext,
-  useContext,
+  useRef,
   memo,
+  use,
+  Suspense,
 } from "react";
 import {
   Clock,
@@ -25,1895 +26,8516 @@ import {
   Calculator,
   DollarSign,
   Globe,
+  AlarmClock,
+  Upload,
+  Download,
+  SkipForward,
+  BarChart3,
+  BringToFront,
+  SendToBack,
+  Grid3x3,
+  Magnet,
+  LayoutDashboard,
+  Layers,
+  Pencil,
+  Check,
+  Settings,
+  AlertTriangle,
+  Archive,
+  MapPin,
+  LocateFixed,
+  Search,
 } from "lucide-react";
+import {
+  registerWidget,
+  getWidgetType,
+  getWidgetTypes,
+  getWidgetSettings,
+} from "./widgetRegistry";
+import {
+  migrateStorage,
+  migrateData,
+  validateStoredData,
+  readStoredData,
+  replaceStoredData,
+  readQuarantine,
+  clearQuarantine,
+  RECORD_STORES,
+  loadRecordStores,
+  readAllRecords,
+  writeRecords,
+  subscribeRecordChanges,
+  reportStorageError,
+  onStorageError,
+  isQuotaExceeded,
+} from "./storage";
+import { searchPlaces, reverseGeocode, formatPlaceName } from "./geocoding";
+import { subscribeWeather, refreshWeather } from "./weather";
+import { AppContext, useApp } from "./appContext";
+
+// ==================== UTILS ====================
+const MINUTE = 60 * 1000;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+const REMINDER_SNOOZE_OPTIONS = [5, 10, 30];
+
+// Primer instante en que "HH:MM" ocurre a partir de `from` (hoy o mañana).
+const computeReminderDueAt = (time, from = Date.now()) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const due = new Date(from);
+  due.setHours(hours, minutes, 0, 0);
+  if (due.getTime() + MINUTE <= from) due.setDate(due.getDate() + 1);
+  return due.getTime();
+};
 
-// ==================== CONTEXT ====================
-const AppContext = createContext(null);
+const getReminderDueAt = (reminder) =>
+  reminder.dueAt ??
+  computeReminderDueAt(reminder.time, Number(reminder.id) || Date.now());
 
-const useApp = () => {
-  const context = useContext(AppContext);
-  if (!context) throw new Error("useApp must be used within AppProvider");
-  return context;
-};
+// Momento del aviso, que puede adelantarse al vencimiento con `alarmOffset`.
+// Solo sirve para programar la notificación: la lista agrupa y ordena por
+// `getReminderDueAt`.
+const getReminderNextAt = (reminder) =>
+  reminder.snoozedUntil ??
+  getReminderDueAt(reminder) + (reminder.alarmOffset ?? 0);
 
-// ==================== HOOKS ====================
-const useLocalStorage = (key, initialValue) => {
-  const [storedValue, setStoredValue] = useState(() => {
-    try {
-      const item = window.localStorage.getItem(key);
-      return item ? JSON.parse(item) : initialValue;
-    } catch {
-      return initialValue;
-    }
+const isReminderOverdue = (reminder, now = Date.now()) =>
+  !reminder.completed && getReminderDueAt(reminder) <= now;
+
+const formatClockTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString("es-ES", {
+    hour: "2-digit",
+    minute: "2-digit",
   });
 
-  const setValue = (value) => {
-    try {
-      const valueToStore =
-        value instanceof Function ? value(storedValue) : value;
-      setStoredValue(valueToStore);
-      window.localStorage.setItem(key, JSON.stringify(valueToStore));
-    } catch (error) {
-      console.error("Error saving to localStorage:", error);
-    }
+const DAY = 24 * 60 * MINUTE;
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WORKWEEK_CODES = ["MO", "TU", "WE", "TH", "FR"];
+const WEEKDAY_NAMES = {
+  MO: "lunes",
+  TU: "martes",
+  WE: "miércoles",
+  TH: "jueves",
+  FR: "viernes",
+  SA: "sábado",
+  SU: "domingo",
+};
+const SET_POSITION_NAMES = {
+  1: "primer",
+  2: "segundo",
+  3: "tercer",
+  4: "cuarto",
+  "-1": "último",
+};
+
+const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const getZonedParts = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
   };
+};
 
-  return [storedValue, setValue];
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const p = getZonedParts(timestamp, timeZone);
+  const wholeSeconds = timestamp - (((timestamp % 1000) + 1000) % 1000);
+  return (
+    Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) -
+    wholeSeconds
+  );
 };
 
-const usePomodoro = (settings) => {
-  const [timeLeft, setTimeLeft] = useState(settings.workDuration * 60);
-  const [isActive, setIsActive] = useState(false);
-  const [isBreak, setIsBreak] = useState(false);
-  const [completedSessions, setCompletedSessions] = useState(0);
+// Convierte una hora de pared en `timeZone` a timestamp, corrigiendo DST. Una
+// hora que no existe porque esa noche se adelanta el reloj (las 02:30 al
+// pasar de 02:00 a 03:00) se mueve hacia delante lo que dura el salto (03:30),
+// como hace RFC 5545.
+const zonedTimeToTimestamp = ({ year, month, day, hour, minute }, timeZone) => {
+  const utcGuess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimeZoneOffset(utcGuess, timeZone);
+  const correctedOffset = getTimeZoneOffset(utcGuess - offset, timeZone);
+  const timestamp = utcGuess - correctedOffset;
+  const parts = getZonedParts(timestamp, timeZone);
+  if (parts.hour === hour && parts.minute === minute) return timestamp;
+  // Dentro del salto: con el desfase de antes del cambio, que es el menor.
+  return utcGuess - Math.min(offset, correctedOffset);
+};
 
-  useEffect(() => {
-    let interval = null;
-
-    if (isActive && timeLeft > 0) {
-      interval = window.setInterval(() => {
-        setTimeLeft((time) => time - 1);
-      }, 1000);
-    } else if (timeLeft === 0) {
-      if (settings.soundEnabled) {
-        const audio = new Audio(
-          "data:audio/wav;base64,UklGRnoGAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQoGAACBhYqFbF1fdJivrJBhNjVgodDbq2EcBj+a2/LDciUFLIHO8tiJNwgZaLvt559NEAxQp+PwtmMcBjiR1/LMeSwFJHfH8N2QQAoUXrTp66hVFApGn+DyvmwhBSuBzvLZiTYIGGa87eeaSwkNUKrj8LdjHAU5kdfy0HouBSR3x/DdkD8KFF+06OunVBQLSKHg8r5sIQUrgc7y2Yk2CBhlu+3nmk0JDFCq4/C3YxwFOZHX8tB6LgUkd8fw3ZA/ChRftOjrp1QVC0ih4PK+bCEFK4HO8tmJNggYZbvt55pNCQxQquPwt2McBTmR1/LQei4FJHfH8N2QPwoUX7To66dUFQtIoeDyvmwhBSuBzvLZiTYIGGW77eeaTQkMUKrj8LdjHAU5kdfyz3ouBSR3x/DdkD8KFF+06OunVBULS"
-        );
-        audio.play().catch(() => {});
+const toDayNumber = ({ year, month, day }) =>
+  Date.UTC(year, month - 1, day) / DAY;
+
+const fromDayNumber = (dayNumber) => {
+  const date = new Date(dayNumber * DAY);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: WEEKDAY_CODES[date.getUTCDay()],
+  };
+};
+
+const getDaysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const getWeekStart = (dayNumber) =>
+  dayNumber -
+  ((WEEKDAY_CODES.indexOf(fromDayNumber(dayNumber).weekday) + 6) % 7);
+
+const parseDateInput = (value) => {
+  const [year, month, day] = value.split("-").map(Number);
+  return { year, month, day };
+};
+
+const formatDateInput = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+
+const matchesRecurrence = (rule, start, date) => {
+  const interval = rule.interval || 1;
+  const startDay = toDayNumber(start);
+  const dateDay = toDayNumber(date);
+
+  switch (rule.freq) {
+    case "DAILY":
+      return (
+        (dateDay - startDay) % interval === 0 &&
+        (!rule.byDay?.length || rule.byDay.includes(date.weekday))
+      );
+    case "WEEKLY": {
+      const byDay = rule.byDay?.length
+        ? rule.byDay
+        : [fromDayNumber(startDay).weekday];
+      const weeks = (getWeekStart(dateDay) - getWeekStart(startDay)) / 7;
+      return byDay.includes(date.weekday) && weeks % interval === 0;
+    }
+    case "MONTHLY": {
+      const months = (date.year - start.year) * 12 + (date.month - start.month);
+      if (months % interval !== 0) return false;
+      if (rule.byDay?.length) {
+        if (!rule.byDay.includes(date.weekday)) return false;
+        const position = rule.bySetPos ?? 1;
+        if (position > 0) return Math.ceil(date.day / 7) === position;
+        const daysInMonth = getDaysInMonth(date.year, date.month);
+        return Math.ceil((daysInMonth - date.day + 1) / 7) === -position;
       }
+      return date.day === (rule.byMonthDay ?? start.day);
+    }
+    case "YEARLY":
+      return (
+        (date.year - start.year) % interval === 0 &&
+        date.month === start.month &&
+        date.day === start.day
+      );
+    default:
+      return false;
+  }
+};
 
-      if (!isBreak) {
-        setCompletedSessions((s) => s + 1);
-        setIsBreak(true);
-        setTimeLeft(settings.breakDuration * 60);
-        if ("Notification" in window && Notification.permission === "granted") {
-          new Notification("¡Descanso!", {
-            body: "Tiempo de tomar un descanso",
-          });
-        }
+const findOccurrence = (rule, timeZone, startAt, fromDay, index, after) => {
+  const start = getZonedParts(startAt, timeZone);
+  // Diez años de margen cubren cualquier regla con intervalo razonable.
+  const lastDay =
+    Math.max(fromDay, toDayNumber(getZonedParts(after, timeZone))) + 3660;
+  for (let dayNumber = fromDay; dayNumber < lastDay; dayNumber++) {
+    const date = fromDayNumber(dayNumber);
+    if (!matchesRecurrence(rule, start, date)) continue;
+    index += 1;
+    if (rule.count && index > rule.count) return null;
+    const dueAt = zonedTimeToTimestamp(
+      { ...date, hour: start.hour, minute: start.minute },
+      timeZone
+    );
+    if (rule.until && dueAt > rule.until) return null;
+    if (dueAt > after) return { dueAt, occurrence: index };
+  }
+  return null;
+};
+
+const getFirstOccurrence = (rule, timeZone, startAt) =>
+  findOccurrence(
+    rule,
+    timeZone,
+    startAt,
+    toDayNumber(getZonedParts(startAt, timeZone)),
+    0,
+    startAt - 1
+  );
+
+const getNextOccurrence = (reminder, after) => {
+  if (!reminder.recurrence) return null;
+  const timeZone = reminder.timeZone || getLocalTimeZone();
+  const dueAt = getReminderDueAt(reminder);
+  return findOccurrence(
+    reminder.recurrence,
+    timeZone,
+    reminder.startAt ?? dueAt,
+    toDayNumber(getZonedParts(dueAt, timeZone)) + 1,
+    reminder.occurrence ?? 1,
+    after
+  );
+};
+
+const describeRecurrence = (rule) => {
+  if (!rule) return "";
+  const interval = rule.interval || 1;
+  let text;
+
+  switch (rule.freq) {
+    case "DAILY":
+      text = interval === 1 ? "Cada día" : `Cada ${interval} días`;
+      break;
+    case "WEEKLY": {
+      const byDay = rule.byDay || [];
+      const isWorkweek =
+        byDay.length === WORKWEEK_CODES.length &&
+        WORKWEEK_CODES.every((code) => byDay.includes(code));
+      if (isWorkweek && interval === 1) {
+        text = "Días laborables";
       } else {
-        setIsBreak(false);
-        setTimeLeft(settings.workDuration * 60);
-        if ("Notification" in window && Notification.permission === "granted") {
-          new Notification("¡A trabajar!", {
-            body: "Tiempo de volver al trabajo",
-          });
+        text = interval === 1 ? "Cada semana" : `Cada ${interval} semanas`;
+        if (byDay.length) {
+          text += `: ${byDay.map((code) => WEEKDAY_NAMES[code].slice(0, 3)).join(", ")}`;
         }
       }
-      setIsActive(false);
+      break;
     }
+    case "MONTHLY":
+      text = interval === 1 ? "Cada mes" : `Cada ${interval} meses`;
+      if (rule.byDay?.length) {
+        text += `, el ${SET_POSITION_NAMES[rule.bySetPos ?? 1] || `${rule.bySetPos}º`} ${WEEKDAY_NAMES[rule.byDay[0]]}`;
+      } else if (rule.byMonthDay) {
+        text += `, el día ${rule.byMonthDay}`;
+      }
+      break;
+    case "YEARLY":
+      text = interval === 1 ? "Cada año" : `Cada ${interval} años`;
+      break;
+    default:
+      return "";
+  }
+
+  if (rule.until) {
+    text += ` hasta el ${new Date(rule.until).toLocaleDateString("es-ES", {
+      day: "numeric",
+      month: "short",
+      year: "numeric",
+    })}`;
+  } else if (rule.count) {
+    text += ` (${rule.count} veces)`;
+  }
+  return text;
+};
 
-    return () => {
-      if (interval) clearInterval(interval);
-    };
-  }, [isActive, timeLeft, isBreak, settings]);
+const REPEAT_PRESETS = [
+  { value: "none", label: "No se repite" },
+  { value: "daily", label: "Cada día" },
+  { value: "weekdays", label: "Días laborables" },
+  { value: "weekly", label: "Cada semana" },
+  { value: "monthly", label: "Cada mes (mismo día)" },
+  { value: "monthlyNth", label: "Cada mes (ej. primer lunes)" },
+  { value: "yearly", label: "Cada año" },
+  { value: "custom", label: "Personalizado..." },
+];
+
+const buildRecurrence = (
+  preset,
+  date,
+  { customDays, interval, endType, untilDate, count }
+) => {
+  if (preset === "none") return null;
+  const { weekday } = fromDayNumber(toDayNumber(date));
+  const position = Math.ceil(date.day / 7);
+
+  const rules = {
+    daily: { freq: "DAILY" },
+    weekdays: { freq: "WEEKLY", byDay: WORKWEEK_CODES },
+    weekly: { freq: "WEEKLY", byDay: [weekday] },
+    monthly: { freq: "MONTHLY", byMonthDay: date.day },
+    monthlyNth: {
+      freq: "MONTHLY",
+      byDay: [weekday],
+      bySetPos: position > 4 ? -1 : position,
+    },
+    yearly: { freq: "YEARLY" },
+    custom: {
+      freq: "WEEKLY",
+      byDay: customDays.length ? customDays : [weekday],
+      interval: Math.max(1, interval || 1),
+    },
+  };
+  const rule = { interval: 1, ...rules[preset] };
+
+  if (endType === "until" && untilDate) {
+    rule.until = zonedTimeToTimestamp(
+      { ...parseDateInput(untilDate), hour: 23, minute: 59 },
+      getLocalTimeZone()
+    );
+  } else if (endType === "count" && count > 0) {
+    rule.count = count;
+  }
+  return rule;
+};
 
-  const toggle = useCallback(() => setIsActive((a) => !a), []);
-  const reset = useCallback(() => {
-    setIsActive(false);
-    setTimeLeft(settings.workDuration * 60);
-    setIsBreak(false);
-  }, [settings.workDuration]);
+const formatReminderDue = (reminder) => {
+  const dueAt = getReminderDueAt(reminder);
+  const label = new Date(dueAt).toLocaleString("es-ES", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  if (!reminder.timeZone || reminder.timeZone === getLocalTimeZone()) {
+    return label;
+  }
+  return `${label} (${new Date(dueAt).toLocaleTimeString("es-ES", {
+    timeZone: reminder.timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+  })} ${reminder.timeZone})`;
+};
+
+const groupReminders = (reminders, now = Date.now()) => {
+  const today = toDayNumber(getZonedParts(now, getLocalTimeZone()));
+  const groups = { overdue: [], today: [], upcoming: [], completed: [] };
+
+  [...reminders]
+    .sort((a, b) => getReminderDueAt(a) - getReminderDueAt(b))
+    .forEach((reminder) => {
+      const dueAt = getReminderDueAt(reminder);
+      if (reminder.completed) {
+        groups.completed.push(reminder);
+      } else if (isReminderOverdue(reminder, now)) {
+        groups.overdue.push(reminder);
+      } else if (
+        toDayNumber(getZonedParts(dueAt, getLocalTimeZone())) === today
+      ) {
+        groups.today.push(reminder);
+      } else {
+        groups.upcoming.push(reminder);
+      }
+    });
 
-  return { timeLeft, isActive, isBreak, completedSessions, toggle, reset };
+  return groups;
 };
 
-const useWeather = () => {
-  const [weather, setWeather] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+// El orden de apilado se guarda como `z` en cada widget; se renumera 1..n
+// para que los valores no crezcan indefinidamente.
+const getTopZ = (widgets) =>
+  widgets.reduce((max, widget) => Math.max(max, widget.z ?? 0), 0);
+
+const normalizeWidgetStack = (widgets) => {
+  const order = [...widgets]
+    .sort((a, b) => (a.z ?? 0) - (b.z ?? 0))
+    .map((widget) => widget.id);
+  return widgets.map((widget) => ({
+    ...widget,
+    z: order.indexOf(widget.id) + 1,
+  }));
+};
 
-  useEffect(() => {
-    const fetchWeather = async () => {
-      try {
-        setLoading(true);
-        const response = await fetch(
-          "https://api.open-meteo.com/v1/forecast?latitude=13.69&longitude=-89.19&current=temperature_2m,weather_code&timezone=auto"
-        );
-        const data = await response.json();
-        setWeather(data);
-        setError(null);
-      } catch (err) {
-        setError("No se pudo cargar el clima");
-      } finally {
-        setLoading(false);
-      }
-    };
+// ---------- Escritorios ----------
+// Cada widget guarda el escritorio al que pertenece en `deskId`; los widgets
+// anteriores a los escritorios no lo tienen y caen en el principal.
+const DEFAULT_DESK_ID = "principal";
+const DEFAULT_DESKS = [{ id: DEFAULT_DESK_ID, name: "Principal" }];
+
+const getWidgetDeskId = (widget) => widget.deskId ?? DEFAULT_DESK_ID;
+
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable ||
+    ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+
+// ---------- Colecciones ----------
+// Notas y recordatorios pueden llevar `collection`: el id de una colección
+// con nombre o el id del widget que los creó. Un widget sin colección los
+// muestra todos. Cerrar un widget no borra los suyos: quedan huérfanos hasta
+// que otro widget los adopta (o vuelve el mismo, si otra pestaña lo
+// conservaba).
+const filterByCollection = (items, collection) =>
+  collection ? items.filter((item) => item.collection === collection) : items;
+
+const isOrphanedRecord = (record, collections, widgets) =>
+  Boolean(record.collection) &&
+  !collections.some((collection) => collection.id === record.collection) &&
+  !widgets.some(
+    (widget) =>
+      widget.id === record.collection || widget.collection === record.collection
+  );
 
-    fetchWeather();
-    const interval = setInterval(fetchWeather, 600000);
-    return () => clearInterval(interval);
-  }, []);
+// ---------- Disposición del escritorio ----------
+// Coincide con el tamaño de celda de `.grid-overlay`, que se dibuja dentro de
+// `.widgets-container` porque las posiciones se miden desde su esquina.
+const GRID_SIZE = 50;
+const SNAP_THRESHOLD = 12;
+const LAYOUT_GAP = 20;
 
-  return { weather, loading, error };
+const DEFAULT_LAYOUT_SETTINGS = {
+  snapToGrid: false,
+  snapToEdges: true,
 };
 
-const useCurrency = () => {
-  const [rates, setRates] = useState(null);
-  const [loading, setLoading] = useState(true);
+const rectsOverlap = (a, b, margin = 0) =>
+  a.x < b.x + b.width + margin &&
+  b.x < a.x + a.width + margin &&
+  a.y < b.y + b.height + margin &&
+  b.y < a.y + a.height + margin;
+
+// Ajusta una posición a los bordes cercanos (otros widgets y el escritorio)
+// y, si no hay ninguno a mano, a la cuadrícula.
+const snapWidgetPosition = (rect, others, bounds, settings) => {
+  const snapAxis = (value, size, lines, max) => {
+    let best = null;
+    if (settings.snapToEdges) {
+      lines.forEach((line) => {
+        [line, line - size].forEach((candidate) => {
+          const distance = Math.abs(candidate - value);
+          if (
+            distance <= SNAP_THRESHOLD &&
+            (!best || distance < best.distance)
+          ) {
+            best = { value: candidate, distance };
+          }
+        });
+      });
+    }
+    if (best) return clamp(best.value, 0, max);
+    if (settings.snapToGrid) {
+      return clamp(Math.round(value / GRID_SIZE) * GRID_SIZE, 0, max);
+    }
+    return value;
+  };
 
-  useEffect(() => {
-    const fetchRates = async () => {
-      try {
-        const response = await fetch(
-          "https://api.exchangerate-api.com/v4/latest/USD"
+  const nearX = others.filter(
+    (other) =>
+      other.y < rect.y + rect.height + SNAP_THRESHOLD &&
+      rect.y < other.y + other.height + SNAP_THRESHOLD
+  );
+  const nearY = others.filter(
+    (other) =>
+      other.x < rect.x + rect.width + SNAP_THRESHOLD &&
+      rect.x < other.x + other.width + SNAP_THRESHOLD
+  );
+
+  return {
+    x: snapAxis(
+      rect.x,
+      rect.width,
+      [0, bounds.width, ...nearX.flatMap((o) => [o.x, o.x + o.width])],
+      bounds.width - rect.width
+    ),
+    y: snapAxis(
+      rect.y,
+      rect.height,
+      [0, bounds.height, ...nearY.flatMap((o) => [o.y, o.y + o.height])],
+      bounds.height - rect.height
+    ),
+  };
+};
+
+// Coloca cada widget en la posición más alta (y luego más a la izquierda)
+// donde no se solape con los ya colocados, al estilo masonry.
+const arrangeWidgetRects = (items, containerWidth) => {
+  const placed = [];
+  const positions = {};
+
+  items.forEach((item) => {
+    const candidates = [
+      LAYOUT_GAP,
+      ...placed.map((rect) => rect.x + rect.width + LAYOUT_GAP),
+    ].filter(
+      (x) => x === LAYOUT_GAP || x + item.width <= containerWidth - LAYOUT_GAP
+    );
+
+    let best = null;
+    candidates.forEach((x) => {
+      const y = placed
+        .filter(
+          (rect) =>
+            rect.x < x + item.width + LAYOUT_GAP &&
+            x < rect.x + rect.width + LAYOUT_GAP
+        )
+        .reduce(
+          (max, rect) => Math.max(max, rect.y + rect.height + LAYOUT_GAP),
+          LAYOUT_GAP
         );
-        const data = await response.json();
-        setRates(data.rates);
-        setLoading(false);
-      } catch (err) {
-        setLoading(false);
+      if (!best || y < best.y || (y === best.y && x < best.x)) {
+        best = { x, y };
       }
-    };
-    fetchRates();
-  }, []);
+    });
 
-  return { rates, loading };
+    placed.push({ ...best, width: item.width, height: item.height });
+    positions[item.id] = best;
+  });
+
+  return positions;
 };
 
-// ==================== PROVIDER ====================
-const AppProvider = ({ children }) => {
-  const [theme, setTheme] = useLocalStorage(
-    "betterdesk-theme",
-    window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light"
-  );
-  const [widgets, setWidgets] = useLocalStorage("betterdesk-widgets", []);
-  const [notes, setNotes] = useLocalStorage("betterdesk-notes", []);
-  const [reminders, setReminders] = useLocalStorage("betterdesk-reminders", []);
-  const [pomodoroSettings, setPomodoroSettings] = useLocalStorage(
-    "betterdesk-pomodoro",
-    {
-      workDuration: 25,
-      breakDuration: 5,
-      soundEnabled: true,
+// Primer hueco libre recorriendo la cuadrícula; si el escritorio está lleno
+// se escalona a partir del último widget.
+const findFreeSpot = (widgets, size, bounds) => {
+  const rects = widgets.map((widget) => ({
+    ...widget.position,
+    ...widget.size,
+  }));
+  for (let y = GRID_SIZE; y + size.height <= bounds.height; y += GRID_SIZE) {
+    for (let x = GRID_SIZE; x + size.width <= bounds.width; x += GRID_SIZE) {
+      const candidate = { x, y, ...size };
+      if (!rects.some((rect) => rectsOverlap(candidate, rect, LAYOUT_GAP))) {
+        return { x, y };
+      }
     }
-  );
+  }
+  const last = widgets[widgets.length - 1];
+  if (!last) return { x: GRID_SIZE, y: GRID_SIZE };
+  return {
+    x: clamp(last.position.x + 30, 0, Math.max(0, bounds.width - size.width)),
+    y: clamp(last.position.y + 30, 0, Math.max(0, bounds.height - size.height)),
+  };
+};
 
-  useEffect(() => {
-    document.documentElement.setAttribute("data-theme", theme);
-  }, [theme]);
+const getDeskBounds = () => {
+  const container = document.querySelector(".widgets-container");
+  return container
+    ? { width: container.clientWidth, height: container.clientHeight }
+    : { width: window.innerWidth, height: window.innerHeight };
+};
 
-  useEffect(() => {
-    if ("Notification" in window && Notification.permission === "default") {
-      Notification.requestPermission();
-    }
-  }, []);
+// Ids de notas y recordatorios: la hora de creación, que también da su orden
+// (`byCreation`). Los creados en el mismo milisegundo, como al importar,
+// toman los números siguientes.
+let lastRecordId = 0;
+const createRecordId = () => {
+  lastRecordId = Math.max(Date.now(), lastRecordId + 1);
+  return lastRecordId.toString();
+};
 
-  const toggleTheme = useCallback(() => {
-    setTheme((t) => (t === "light" ? "dark" : "light"));
-  }, [setTheme]);
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Safari y versiones antiguas de Firefox cancelan la descarga si la URL se
+  // revoca en el mismo momento.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
 
-  const addWidget = useCallback(
-    (type) => {
-      const sizes = {
-        pomodoro: { width: 420, height: 550 },
-        clima: { width: 380, height: 400 },
-        notas: { width: 450, height: 600 },
-        recordatorios: { width: 480, height: 600 },
-        calculadora: { width: 320, height: 480 },
-        monedas: { width: 400, height: 520 },
-        reloj: { width: 500, height: 450 },
-      };
+// ---------- Sincronización entre pestañas ----------
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isRecordList = (value) =>
+  Array.isArray(value) &&
+  value.every((item) => isPlainObject(item) && item.id !== undefined);
+
+const mergeRecordLists = (base, local, remote) => {
+  const byId = (list) => new Map(list.map((record) => [record.id, record]));
+  const baseById = byId(base);
+  const localById = byId(local);
+  const remoteById = byId(remote);
+
+  // `undefined` significa que ese lado borró el registro.
+  const pick = (id) => {
+    const original = baseById.get(id);
+    const mine = localById.get(id);
+    const theirs = remoteById.get(id);
+    if (isSameValue(mine, original)) return theirs;
+    if (isSameValue(theirs, original)) return mine;
+    return mine ?? theirs;
+  };
 
-      const newWidget = {
-        id: `${type}-${Date.now()}`,
-        type,
-        title: type.charAt(0).toUpperCase() + type.slice(1),
-        isOpen: true,
-        position: { x: Math.random() * 150 + 100, y: Math.random() * 100 + 80 },
-        size: sizes[type] || { width: 400, height: 500 },
-      };
-      setWidgets((w) => [...w, newWidget]);
-    },
-    [setWidgets]
-  );
+  const merged = local.map((record) => pick(record.id)).filter(Boolean);
+  // Lo que solo tiene la otra pestaña entra en la posición que ocupa allí.
+  remote.forEach((record, index) => {
+    if (localById.has(record.id)) return;
+    const value = pick(record.id);
+    if (value) merged.splice(Math.min(index, merged.length), 0, value);
+  });
+  return merged;
+};
 
-  const removeWidget = useCallback(
-    (id) => {
-      setWidgets((w) => w.filter((widget) => widget.id !== id));
-    },
-    [setWidgets]
-  );
+// Fusión a tres bandas: `base` es lo último que esta pestaña vio guardado,
+// `local` su estado y `remote` lo que escribió otra pestaña. Las listas de
+// registros con `id` y los objetos se fusionan elemento a elemento; gana el
+// lado que cambió respecto a la base y, si cambiaron los dos, el local.
+const mergeStoredValue = (base, local, remote) => {
+  if (isSameValue(local, base)) return remote;
+  if (isSameValue(remote, base)) return local;
+  if (isRecordList(local) && isRecordList(remote)) {
+    return mergeRecordLists(isRecordList(base) ? base : [], local, remote);
+  }
+  if (isPlainObject(local) && isPlainObject(remote)) {
+    const original = isPlainObject(base) ? base : {};
+    return Object.fromEntries(
+      [...new Set([...Object.keys(local), ...Object.keys(remote)])]
+        .map((key) => [
+          key,
+          mergeStoredValue(original[key], local[key], remote[key]),
+        ])
+        .filter(([, value]) => value !== undefined)
+    );
+  }
+  return local;
+};
 
-  const toggleWidget = useCallback(
-    (id) => {
-      setWidgets((w) =>
-        w.map((widget) =>
-          widget.id === id ? { ...widget, isOpen: !widget.isOpen } : widget
-        )
-      );
-    },
-    [setWidgets]
-  );
+// Para valores que solo tienen sentido enteros, como el temporizador: si
+// cambiaron los dos lados gana el de `updatedAt` más reciente, nunca una
+// mezcla de campos. Con la misma hora se desempata por el contenido, así
+// todas las pestañas eligen el mismo.
+const pickLatestValue = (base, local, remote) => {
+  if (isSameValue(local, base)) return remote;
+  if (isSameValue(remote, base)) return local;
+  const localAt = local?.updatedAt ?? 0;
+  const remoteAt = remote?.updatedAt ?? 0;
+  if (localAt !== remoteAt) return localAt > remoteAt ? local : remote;
+  return JSON.stringify(local) > JSON.stringify(remote) ? local : remote;
+};
 
-  const updateWidgetPosition = useCallback(
-    (id, position) => {
-      setWidgets((w) =>
-        w.map((widget) => (widget.id === id ? { ...widget, position } : widget))
-      );
-    },
-    [setWidgets]
+// ---------- Estadísticas Pomodoro ----------
+const getDayKey = (timestamp) =>
+  formatDateInput(getZonedParts(timestamp, getLocalTimeZone()));
+
+const summarizePomodoroHistory = (history, now = Date.now()) => {
+  const byDay = new Map();
+  history
+    .filter((session) => session.phase === "work")
+    .forEach((session) => {
+      const key = getDayKey(session.startedAt);
+      const day = byDay.get(key) || { minutes: 0, sessions: 0 };
+      day.minutes += session.duration / MINUTE;
+      if (session.completed) day.sessions += 1;
+      byDay.set(key, day);
+    });
+
+  const todayNumber = toDayNumber(getZonedParts(now, getLocalTimeZone()));
+  const dayAt = (offset) =>
+    byDay.get(formatDateInput(fromDayNumber(todayNumber - offset))) || {
+      minutes: 0,
+      sessions: 0,
+    };
+
+  // La racha cuenta días seguidos con al menos una sesión completada; hoy
+  // no la rompe mientras aún no se haya trabajado.
+  let streak = 0;
+  for (let offset = dayAt(0).sessions > 0 ? 0 : 1; ; offset++) {
+    if (dayAt(offset).sessions === 0) break;
+    streak += 1;
+  }
+
+  const weekStart = getWeekStart(todayNumber);
+  const weeks = Array.from({ length: 8 }, (_, i) => {
+    const start = weekStart - (7 - i) * 7;
+    return {
+      start,
+      minutes: Array.from(
+        { length: 7 },
+        (_, d) => dayAt(todayNumber - start - d).minutes
+      ).reduce((a, b) => a + b, 0),
+    };
+  });
+
+  const workSessions = history.filter(
+    (session) => session.phase === "work" && session.completed
   );
+  const firstDay = workSessions.length
+    ? Math.min(
+        ...workSessions.map((session) =>
+          toDayNumber(getZonedParts(session.startedAt, getLocalTimeZone()))
+        )
+      )
+    : todayNumber;
+
+  return {
+    byDay,
+    todayNumber,
+    today: dayAt(0),
+    thisWeek: weeks[weeks.length - 1].minutes,
+    days: Array.from({ length: 7 }, (_, i) => ({
+      dayNumber: todayNumber - 6 + i,
+      ...dayAt(6 - i),
+    })),
+    weeks,
+    streak,
+    averagePerDay: workSessions.length / (todayNumber - firstDay + 1),
+  };
+};
 
-  const addNote = useCallback(
-    (content) => {
-      const newNote = {
-        id: Date.now().toString(),
-        content,
-        timestamp: Date.now(),
+const getPomodoroTaskKey = (task) =>
+  task ? `${task.type}:${task.id ?? task.label.trim().toLowerCase()}` : null;
+
+const getNoteTitle = (note) => {
+  const firstLine = note.content.split("\n")[0];
+  return firstLine.length > 40 ? `${firstLine.slice(0, 40)}…` : firstLine;
+};
+
+const countPomodorosByTask = (history) => {
+  const counts = new Map();
+  history.forEach((session) => {
+    if (session.phase !== "work" || !session.completed || !session.task) {
+      return;
+    }
+    const key = getPomodoroTaskKey(session.task);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+};
+
+const summarizePomodoroTasks = (history) => {
+  const tasks = new Map();
+  history
+    .filter((session) => session.phase === "work")
+    .forEach((session) => {
+      const key = getPomodoroTaskKey(session.task) ?? "none";
+      const entry = tasks.get(key) || {
+        key,
+        label: session.task?.label || "Sin tarea",
+        type: session.task?.type ?? null,
+        minutes: 0,
+        sessions: 0,
       };
-      setNotes((n) => [newNote, ...n]);
-    },
-    [setNotes]
-  );
+      entry.minutes += session.duration / MINUTE;
+      if (session.completed) entry.sessions += 1;
+      tasks.set(key, entry);
+    });
+  return [...tasks.values()].sort((a, b) => b.minutes - a.minutes);
+};
 
-  const deleteNote = useCallback(
-    (id) => {
-      setNotes((n) => n.filter((note) => note.id !== id));
-    },
-    [setNotes]
+const escapeCsvValue = (value) => {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const pomodoroHistoryToCsv = (history) => {
+  const rows = history.map((session) => [
+    session.id,
+    session.phase,
+    session.completed ? "completed" : "aborted",
+    new Date(session.startedAt).toISOString(),
+    new Date(session.endedAt).toISOString(),
+    (session.duration / MINUTE).toFixed(2),
+    (session.plannedDuration / MINUTE).toFixed(2),
+    session.task?.type ?? "",
+    session.task?.label ?? "",
+  ]);
+  return [
+    [
+      "id",
+      "phase",
+      "status",
+      "started_at",
+      "ended_at",
+      "duration_min",
+      "planned_min",
+      "task_type",
+      "task",
+    ],
+    ...rows,
+  ]
+    .map((row) => row.map(escapeCsvValue).join(","))
+    .join("\n");
+};
+
+// ---------- iCalendar (RFC 5545) ----------
+const ICS_PRODID = "-//BetterDesk//Recordatorios//ES";
+
+const escapeIcsText = (text) =>
+  text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const unescapeIcsText = (text) =>
+  text.replace(/\\([\\;,nN])/g, (_, char) =>
+    char === "n" || char === "N" ? "\n" : char
   );
 
-  const addReminder = useCallback(
-    (text, time) => {
-      const newReminder = {
-        id: Date.now().toString(),
-        text,
-        time,
-        completed: false,
-      };
-      setReminders((r) => [...r, newReminder]);
-    },
-    [setReminders]
+// Las líneas de más de 75 octetos se pliegan con CRLF + espacio.
+const foldIcsLine = (line) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      chunks.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+const formatIcsDate = ({ year, month, day }) =>
+  `${pad(year, 4)}${pad(month)}${pad(day)}`;
+
+const formatIcsDateTime = (parts) =>
+  `${formatIcsDate(parts)}T${pad(parts.hour)}${pad(parts.minute)}${pad(
+    parts.second ?? 0
+  )}`;
+
+const formatIcsUtc = (timestamp) =>
+  `${formatIcsDateTime(getZonedParts(timestamp, "UTC"))}Z`;
+
+const formatIcsOffset = (minutes) =>
+  `${minutes < 0 ? "-" : "+"}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(
+    Math.abs(minutes) % 60
+  )}`;
+
+const formatIcsDuration = (milliseconds) => {
+  const minutes = Math.round(Math.abs(milliseconds) / MINUTE);
+  return `${milliseconds < 0 ? "-" : ""}PT${minutes}M`;
+};
+
+const parseIcsDuration = (value) => {
+  const match = value.match(
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
   );
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total =
+    (Number(weeks || 0) * 7 + Number(days || 0)) * DAY +
+    Number(hours || 0) * 60 * MINUTE +
+    Number(minutes || 0) * MINUTE +
+    Number(seconds || 0) * 1000;
+  return sign === "-" ? -total : total;
+};
 
-  const toggleReminder = useCallback(
-    (id) => {
-      setReminders((r) =>
-        r.map((reminder) =>
-          reminder.id === id
-            ? { ...reminder, completed: !reminder.completed }
-            : reminder
-        )
-      );
-    },
-    [setReminders]
+const isValidTimeZone = (timeZone) => {
+  try {
+    Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Los fechas-hora sin zona ("flotantes") se interpretan en la zona local.
+const parseIcsDateValue = (value, params = {}) => {
+  const match = value.match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/
   );
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour ?? 9),
+    minute: Number(minute ?? 0),
+  };
+  const allDay = hour === undefined || params.VALUE === "DATE";
+  if (utc) {
+    return {
+      timestamp: Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        Number(second)
+      ),
+      timeZone: getLocalTimeZone(),
+      allDay,
+    };
+  }
+  const timeZone =
+    params.TZID && isValidTimeZone(params.TZID)
+      ? params.TZID
+      : getLocalTimeZone();
+  return {
+    timestamp: zonedTimeToTimestamp(parts, timeZone),
+    timeZone,
+    allDay,
+  };
+};
 
-  const deleteReminder = useCallback(
-    (id) => {
-      setReminders((r) => r.filter((reminder) => reminder.id !== id));
-    },
-    [setReminders]
+const parseIcsRrule = (value) => {
+  const fields = Object.fromEntries(
+    value.split(";").map((field) => {
+      const [key, ...rest] = field.split("=");
+      return [key.toUpperCase(), rest.join("=")];
+    })
   );
+  if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(fields.FREQ)) {
+    return null;
+  }
+
+  const rule = { freq: fields.FREQ, interval: Number(fields.INTERVAL) || 1 };
+  if (fields.BYDAY) {
+    const days = fields.BYDAY.split(",").map((day) =>
+      day.match(/^([+-]?\d+)?(MO|TU|WE|TH|FR|SA|SU)$/)
+    );
+    rule.byDay = days.filter(Boolean).map((match) => match[2]);
+    const position = days.find((match) => match?.[1]);
+    if (position) rule.bySetPos = Number(position[1]);
+  }
+  if (fields.BYSETPOS) rule.bySetPos = Number(fields.BYSETPOS.split(",")[0]);
+  if (fields.BYMONTHDAY) {
+    rule.byMonthDay = Number(fields.BYMONTHDAY.split(",")[0]);
+  }
+  if (fields.COUNT) rule.count = Number(fields.COUNT);
+  if (fields.UNTIL) {
+    const until = parseIcsDateValue(fields.UNTIL);
+    if (until) {
+      rule.until = until.allDay
+        ? until.timestamp + DAY - MINUTE
+        : until.timestamp;
+    }
+  }
+  return rule;
+};
 
-  const updatePomodoroSettings = useCallback(
-    (settings) => {
-      setPomodoroSettings((s) => ({ ...s, ...settings }));
-    },
-    [setPomodoroSettings]
-  );
+const formatIcsRrule = (rule) => {
+  const fields = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) fields.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay?.length) fields.push(`BYDAY=${rule.byDay.join(",")}`);
+  if (rule.byMonthDay) fields.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.bySetPos) fields.push(`BYSETPOS=${rule.bySetPos}`);
+  if (rule.count) fields.push(`COUNT=${rule.count}`);
+  if (rule.until) fields.push(`UNTIL=${formatIcsUtc(rule.until)}`);
+  return fields.join(";");
+};
 
-  const value = useMemo(
-    () => ({
-      state: { theme, widgets, notes, reminders, pomodoroSettings },
-      toggleTheme,
-      addWidget,
-      removeWidget,
-      toggleWidget,
-      updateWidgetPosition,
-      addNote,
-      deleteNote,
-      addReminder,
-      toggleReminder,
-      deleteReminder,
-      updatePomodoroSettings,
-    }),
-    [
-      theme,
-      widgets,
-      notes,
-      reminders,
-      pomodoroSettings,
-      toggleTheme,
-      addWidget,
-      removeWidget,
-      toggleWidget,
-      updateWidgetPosition,
-      addNote,
-      deleteNote,
-      addReminder,
-      toggleReminder,
-      deleteReminder,
-      updatePomodoroSettings,
-    ]
+// Genera un VTIMEZONE a partir de las transiciones reales del año indicado.
+const buildIcsTimeZone = (timeZone, year) => {
+  const offsetAt = (timestamp) =>
+    Math.round(getTimeZoneOffset(timestamp, timeZone) / MINUTE);
+  const transitions = [];
+  const firstNoon = Date.UTC(year, 0, 1, 12);
+
+  for (let day = 1; day <= 366; day++) {
+    let low = firstNoon + (day - 1) * DAY;
+    let high = low + DAY;
+    if (offsetAt(low) === offsetAt(high)) continue;
+    while (high - low > MINUTE) {
+      const middle = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE;
+      if (offsetAt(middle) === offsetAt(low)) low = middle;
+      else high = middle;
+    }
+    transitions.push({
+      at: high,
+      from: offsetAt(low),
+      to: offsetAt(high),
+    });
+  }
+
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+  if (transitions.length === 0) {
+    const offset = formatIcsOffset(offsetAt(firstNoon));
+    lines.push(
+      "BEGIN:STANDARD",
+      "DTSTART:19700101T000000",
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      "END:STANDARD"
+    );
+  }
+  transitions.forEach(({ at, from, to }) => {
+    const type = to > from ? "DAYLIGHT" : "STANDARD";
+    const onset = getZonedParts(at + from * MINUTE, "UTC");
+    const { weekday } = fromDayNumber(toDayNumber(onset));
+    const position =
+      onset.day + 7 > getDaysInMonth(onset.year, onset.month)
+        ? -1
+        : Math.ceil(onset.day / 7);
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${formatIcsDateTime(onset)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${onset.month};BYDAY=${position}${weekday}`,
+      `TZOFFSETFROM:${formatIcsOffset(from)}`,
+      `TZOFFSETTO:${formatIcsOffset(to)}`,
+      `END:${type}`
+    );
+  });
+  lines.push("END:VTIMEZONE");
+  return lines;
+};
+
+const parseIcs = (content) => {
+  const lines = content.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  if (!lines.some((line) => line.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+    throw new Error("El archivo no es un calendario iCalendar válido");
+  }
+
+  const root = { type: "ROOT", props: [], children: [] };
+  const stack = [root];
+  lines.forEach((line) => {
+    const match = line.match(
+      /^([^:;]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/
+    );
+    if (!match) return;
+    const name = match[1].toUpperCase();
+    const value = match[3];
+    if (name === "BEGIN") {
+      const component = { type: value.toUpperCase(), props: [], children: [] };
+      stack[stack.length - 1].children.push(component);
+      stack.push(component);
+    } else if (name === "END") {
+      if (stack.length > 1) stack.pop();
+    } else {
+      const params = Object.fromEntries(
+        (match[2].match(/;[^:;]+=(?:"[^"]*"|[^:;]*)/g) || []).map((param) => {
+          const [key, ...rest] = param.slice(1).split("=");
+          return [key.toUpperCase(), rest.join("=").replace(/^"|"$/g, "")];
+        })
+      );
+      stack[stack.length - 1].props.push({ name, params, value });
+    }
+  });
+
+  const calendars = root.children.filter((c) => c.type === "VCALENDAR");
+  return calendars.flatMap((calendar) =>
+    calendar.children.filter((c) => c.type === "VEVENT" || c.type === "VTODO")
   );
+};
 
-  return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
+const icsComponentToReminder = (component, now = Date.now()) => {
+  const prop = (name) => component.props.find((p) => p.name === name);
+  const type = component.type;
+
+  const start = prop("DTSTART");
+  const due = prop("DUE") || prop("X-BETTERDESK-DUE");
+  const startValue = start && parseIcsDateValue(start.value, start.params);
+  const dueValue = due && parseIcsDateValue(due.value, due.params);
+  const anchor = startValue || dueValue;
+  if (!anchor) return null;
+
+  const rrule = prop("RRULE");
+  const recurrence = rrule ? parseIcsRrule(rrule.value) : null;
+  const completedFlag = prop("X-BETTERDESK-COMPLETED");
+  const status = prop("STATUS")?.value.toUpperCase();
+
+  let completed =
+    type === "VTODO"
+      ? status === "COMPLETED" ||
+        Boolean(prop("COMPLETED")) ||
+        prop("PERCENT-COMPLETE")?.value === "100"
+      : completedFlag
+        ? completedFlag.value.toUpperCase() === "TRUE"
+        : !recurrence && anchor.timestamp < now;
+
+  let dueAt = dueValue ? dueValue.timestamp : anchor.timestamp;
+  let occurrence = Number(prop("X-BETTERDESK-OCCURRENCE")?.value) || 1;
+  if (recurrence && !dueValue) {
+    // Los eventos repetidos de otros calendarios se importan en su próxima
+    // ocurrencia; los exportados por BetterDesk conservan su progreso.
+    const isForeignEvent =
+      type === "VEVENT" && !prop("X-BETTERDESK-OCCURRENCE");
+    const upcoming = findOccurrence(
+      recurrence,
+      anchor.timeZone,
+      anchor.timestamp,
+      toDayNumber(getZonedParts(anchor.timestamp, anchor.timeZone)),
+      0,
+      isForeignEvent && !completed
+        ? Math.max(anchor.timestamp, now) - 1
+        : anchor.timestamp - 1
+    );
+    if (upcoming) {
+      dueAt = upcoming.dueAt;
+      occurrence = upcoming.occurrence;
+    } else {
+      completed = true;
+    }
+  }
+
+  const alarm = component.children.find((c) => c.type === "VALARM");
+  const trigger = alarm?.props.find((p) => p.name === "TRIGGER");
+  let alarmOffset = null;
+  if (trigger) {
+    // Un aviso ilegible se descarta sin perder el recordatorio.
+    if (trigger.params.VALUE === "DATE-TIME") {
+      const alarmAt = parseIcsDateValue(trigger.value);
+      alarmOffset = alarmAt ? alarmAt.timestamp - dueAt : null;
+    } else {
+      alarmOffset = parseIcsDuration(trigger.value);
+    }
+  }
+
+  const summary = prop("SUMMARY");
+  const dueParts = getZonedParts(dueAt, anchor.timeZone);
+  return {
+    uid: prop("UID")?.value,
+    icsType: type,
+    text: summary ? unescapeIcsText(summary.value) : "(Sin título)",
+    time: `${pad(dueParts.hour)}:${pad(dueParts.minute)}`,
+    startAt: anchor.timestamp,
+    dueAt,
+    occurrence,
+    timeZone: anchor.timeZone,
+    allDay: anchor.allDay,
+    recurrence,
+    alarmOffset: alarmOffset || null,
+    snoozedUntil: null,
+    firedAt: null,
+    completed,
+  };
 };
 
-// ==================== COMPONENTS ====================
-const Widget = memo(({ widget, children }) => {
-  const { removeWidget, toggleWidget, updateWidgetPosition } = useApp();
-  const [isDragging, setIsDragging] = useState(false);
-  const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
-
-  const handleMouseDown = (e) => {
-    if (e.target.closest(".widget-header")) {
-      setIsDragging(true);
-      setDragOffset({
-        x: e.clientX - widget.position.x,
-        y: e.clientY - widget.position.y,
-      });
+// Un calendario puede repetir un UID con RECURRENCE-ID para modificar una
+// ocurrencia concreta de un evento repetido. Se importa un recordatorio por
+// UID y, si la ocurrencia modificada es la pendiente, se aplica el cambio.
+const icsComponentsToReminders = (components, now = Date.now()) => {
+  const byUid = new Map();
+  const reminders = [];
+  components.forEach((component) => {
+    const uid = component.props.find((p) => p.name === "UID")?.value;
+    if (!uid) {
+      reminders.push(icsComponentToReminder(component, now));
+      return;
+    }
+    if (!byUid.has(uid)) byUid.set(uid, { master: null, overrides: [] });
+    const group = byUid.get(uid);
+    if (component.props.some((p) => p.name === "RECURRENCE-ID")) {
+      group.overrides.push(component);
+    } else {
+      group.master = component;
+    }
+  });
+
+  byUid.forEach(({ master, overrides }) => {
+    if (!master) {
+      // Sin el evento original, cada ocurrencia suelta es un recordatorio.
+      reminders.push(
+        ...overrides.map((component) => icsComponentToReminder(component, now))
+      );
+      return;
     }
+    const reminder = icsComponentToReminder(master, now);
+    reminders.push(reminder && overrides.reduce(applyIcsOverride, reminder));
+  });
+
+  return reminders.filter(Boolean);
+};
+
+const applyIcsOverride = (reminder, component) => {
+  if (!reminder.recurrence || reminder.completed) return reminder;
+  const recurrenceId = component.props.find((p) => p.name === "RECURRENCE-ID");
+  const original = parseIcsDateValue(recurrenceId.value, recurrenceId.params);
+  if (original?.timestamp !== reminder.dueAt) return reminder;
+
+  const status = component.props
+    .find((p) => p.name === "STATUS")
+    ?.value.toUpperCase();
+  if (status === "CANCELLED") {
+    const next = getNextOccurrence(reminder, reminder.dueAt);
+    return next
+      ? { ...reminder, dueAt: next.dueAt, occurrence: next.occurrence }
+      : { ...reminder, completed: true };
+  }
+
+  const override = icsComponentToReminder(
+    { ...component, props: component.props.filter((p) => p.name !== "RRULE") },
+    reminder.dueAt - 1
+  );
+  if (!override) return reminder;
+  return {
+    ...reminder,
+    text: override.text,
+    time: override.time,
+    dueAt: override.dueAt,
+    alarmOffset: override.alarmOffset ?? reminder.alarmOffset,
+  };
+};
+
+const getReminderUid = (reminder) =>
+  reminder.uid || `${reminder.id}@betterdesk`;
+
+const remindersToIcs = (reminders, now = Date.now()) => {
+  const timeZones = new Map();
+  reminders.forEach((reminder) => {
+    if (reminder.allDay) return;
+    const timeZone = reminder.timeZone || getLocalTimeZone();
+    const year = getZonedParts(
+      reminder.startAt ?? getReminderDueAt(reminder),
+      timeZone
+    ).year;
+    timeZones.set(timeZone, Math.min(year, timeZones.get(timeZone) ?? year));
+  });
+
+  const formatProp = (name, timestamp, reminder) => {
+    const timeZone = reminder.timeZone || getLocalTimeZone();
+    const parts = getZonedParts(timestamp, timeZone);
+    return reminder.allDay
+      ? `${name};VALUE=DATE:${formatIcsDate(parts)}`
+      : `${name};TZID=${timeZone}:${formatIcsDateTime(parts)}`;
   };
 
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICS_PRODID}`,
+    "CALSCALE:GREGORIAN",
+    ...[...timeZones].flatMap(([timeZone, year]) =>
+      buildIcsTimeZone(timeZone, year)
+    ),
+  ];
+
+  reminders.forEach((reminder) => {
+    const type = reminder.icsType || "VTODO";
+    const dueAt = getReminderDueAt(reminder);
+    const startAt = reminder.startAt ?? dueAt;
+
+    lines.push(
+      `BEGIN:${type}`,
+      `UID:${getReminderUid(reminder)}`,
+      `DTSTAMP:${formatIcsUtc(now)}`,
+      `SUMMARY:${escapeIcsText(reminder.text)}`
+    );
+    if (type === "VEVENT" || reminder.recurrence) {
+      lines.push(formatProp("DTSTART", startAt, reminder));
+    }
+    if (type === "VTODO") {
+      if (!reminder.recurrence || dueAt !== startAt) {
+        lines.push(formatProp("DUE", dueAt, reminder));
+      }
+      if (reminder.completed) {
+        lines.push(
+          "STATUS:COMPLETED",
+          `COMPLETED:${formatIcsUtc(reminder.lastCompletedAt || now)}`,
+          "PERCENT-COMPLETE:100"
+        );
+      } else {
+        lines.push("STATUS:NEEDS-ACTION");
+      }
+    } else {
+      if (dueAt !== startAt) {
+        lines.push(formatProp("X-BETTERDESK-DUE", dueAt, reminder));
+      }
+      lines.push(
+        `X-BETTERDESK-COMPLETED:${reminder.completed ? "TRUE" : "FALSE"}`
+      );
+    }
+    if (reminder.recurrence) {
+      lines.push(
+        `RRULE:${formatIcsRrule(reminder.recurrence)}`,
+        `X-BETTERDESK-OCCURRENCE:${reminder.occurrence ?? 1}`
+      );
+    }
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeIcsText(reminder.text)}`,
+      `TRIGGER:${formatIcsDuration(reminder.alarmOffset ?? 0)}`,
+      "END:VALARM",
+      `END:${type}`
+    );
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+};
+
+// ==================== HOOKS ====================
+// Con `sync` el valor se mantiene al día entre pestañas: los cambios de otra
+// pestaña llegan por el evento `storage` y, antes de escribir, se fusiona con
+// lo que haya guardado si otra pestaña escribió entretanto. `merge` decide
+// cómo (por defecto, `mergeStoredValue`).
+const parseStoredItem = (item, fallback) =>
+  item === null ? fallback : JSON.parse(item);
+
+const useLocalStorage = (
+  key,
+  initialValue,
+  { sync = true, merge = mergeStoredValue } = {}
+) => {
+  const initialValueRef = useRef(initialValue);
+  // Último contenido que esta pestaña sabe que hay guardado en `key`.
+  const syncedRef = useRef(undefined);
+  const [storedValue, setStoredValue] = useState(() => {
+    try {
+      const item = window.localStorage.getItem(key);
+      return item ? JSON.parse(item) : initialValue;
+    } catch (error) {
+      // `migrateStorage` ya apartó lo ilegible al arrancar; llegar aquí
+      // significa que la clave se dañó después.
+      console.error(`Error reading ${key} from localStorage:`, error);
+      return initialValue;
+    }
+  });
+  const readValueRef = useRef(storedValue);
+
   useEffect(() => {
-    if (!isDragging) return;
+    try {
+      const current = window.localStorage.getItem(key);
+      // Los datos de una versión posterior no se reescriben al leerlos; solo
+      // se guarda lo que cambie.
+      if (STORAGE_REPORT.newer && storedValue === readValueRef.current) {
+        syncedRef.current = current;
+        return;
+      }
+      let next = storedValue;
+      if (
+        sync &&
+        syncedRef.current !== undefined &&
+        current !== null &&
+        current !== syncedRef.current
+      ) {
+        next = merge(
+          parseStoredItem(syncedRef.current, initialValueRef.current),
+          storedValue,
+          JSON.parse(current)
+        );
+      }
+      const item = JSON.stringify(next);
+      if (item !== current) window.localStorage.setItem(key, item);
+      syncedRef.current = item;
+      if (next !== storedValue) setStoredValue(next);
+    } catch (error) {
+      // El valor sigue en memoria; se vuelve a intentar con el siguiente
+      // cambio.
+      reportStorageError(error, key);
+    }
+  }, [key, storedValue, sync, merge]);
 
-    const handleMouseMove = (e) => {
-      updateWidgetPosition(widget.id, {
-        x: Math.max(
-          0,
-          Math.min(
-            e.clientX - dragOffset.x,
-            window.innerWidth - widget.size.width
-          )
-        ),
-        y: Math.max(
-          0,
-          Math.min(e.clientY - dragOffset.y, window.innerHeight - 100)
-        ),
-      });
+  useEffect(() => {
+    if (!sync) return;
+
+    const handleStorage = (e) => {
+      if (e.storageArea !== window.localStorage || e.key !== key) return;
+      try {
+        const remote = parseStoredItem(e.newValue, initialValueRef.current);
+        const base = parseStoredItem(
+          syncedRef.current ?? null,
+          initialValueRef.current
+        );
+        setStoredValue((local) => merge(base, local, remote));
+      } catch (error) {
+        console.error(`Error syncing ${key} from another tab:`, error);
+      }
     };
 
-    const handleMouseUp = () => setIsDragging(false);
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [key, sync, merge]);
+
+  return [storedValue, setStoredValue];
+};
 
-    document.addEventListener("mousemove", handleMouseMove);
-    document.addEventListener("mouseup", handleMouseUp);
+// Misma forma que `useLocalStorage` para listas de registros con `id`, pero
+// guardadas en IndexedDB: cada cambio escribe solo los registros que ya no
+// son el mismo objeto y borra los que faltan. `stored` es lo que cargó
+// `loadRecordStores`; `compare` fija el orden al cargar y al recibir cambios
+// de otras pestañas.
+const useIndexedDBStore = (key, stored, { compare }) => {
+  const storeName = RECORD_STORES[key];
+  const [records, setRecords] = useState(() => [...stored].sort(compare));
+  const [reloadCount, setReloadCount] = useState(0);
+  // Último objeto guardado de cada id.
+  const persistedRef = useRef(
+    new Map(stored.map((record) => [record.id, record]))
+  );
 
+  // Otra pestaña reemplazó el almacén entero (al restaurar una copia).
+  useEffect(() => {
+    if (reloadCount === 0) return;
+    let cancelled = false;
+    readAllRecords(storeName)
+      .then((reloaded) => {
+        if (cancelled) return;
+        persistedRef.current = new Map(
+          reloaded.map((record) => [record.id, record])
+        );
+        setRecords([...reloaded].sort(compare));
+      })
+      .catch((error) => {
+        reportStorageError(error, key);
+      });
     return () => {
-      document.removeEventListener("mousemove", handleMouseMove);
-      document.removeEventListener("mouseup", handleMouseUp);
+      cancelled = true;
     };
-  }, [isDragging, dragOffset, widget.id, widget.size, updateWidgetPosition]);
+  }, [key, storeName, compare, reloadCount]);
 
-  return (
-    <div
-      className={`widget ${widget.isOpen ? "widget-open" : "widget-closed"} ${
-        isDragging ? "dragging" : ""
-      }`}
-      style={{
-        left: `${widget.position.x}px`,
-        top: `${widget.position.y}px`,
-        width: widget.isOpen ? `${widget.size.width}px` : "auto",
-      }}
-      onMouseDown={handleMouseDown}
-    >
-      <div className="widget-header">
-        <h3>{widget.title}</h3>
-        <div className="widget-controls">
-          <button
-            onClick={() => toggleWidget(widget.id)}
-            aria-label="Minimizar"
-          >
-            {widget.isOpen ? (
-              <ChevronUp size={16} />
-            ) : (
-              <ChevronDown size={16} />
-            )}
-          </button>
-          <button onClick={() => removeWidget(widget.id)} aria-label="Cerrar">
-            <X size={16} />
-          </button>
-        </div>
-      </div>
-      {widget.isOpen && <div className="widget-content">{children}</div>}
-    </div>
+  useEffect(() => {
+    const persisted = persistedRef.current;
+    const ids = new Set(records.map((record) => record.id));
+    const put = records.filter((record) => persisted.get(record.id) !== record);
+    const remove = [...persisted.keys()].filter((id) => !ids.has(id));
+    if (put.length === 0 && remove.length === 0) return;
+
+    persistedRef.current = new Map(
+      records.map((record) => [record.id, record])
+    );
+    writeRecords(storeName, { put, remove }).catch((error) => {
+      // Se marcan como pendientes para que el siguiente cambio los reintente.
+      put.forEach((record) => persistedRef.current.delete(record.id));
+      remove.forEach((id) => persistedRef.current.set(id, null));
+      reportStorageError(error, key);
+    });
+  }, [key, storeName, records]);
+
+  useEffect(
+    () =>
+      subscribeRecordChanges(storeName, (change) => {
+        if (change.reset) {
+          setReloadCount((count) => count + 1);
+          return;
+        }
+        // Los objetos recibidos pasan a ser los guardados, así no se
+        // vuelven a escribir.
+        change.put.forEach((record) =>
+          persistedRef.current.set(record.id, record)
+        );
+        change.remove.forEach((id) => persistedRef.current.delete(id));
+        const changedIds = new Set([
+          ...change.remove,
+          ...change.put.map((record) => record.id),
+        ]);
+        setRecords((current) =>
+          current
+            .filter((record) => !changedIds.has(record.id))
+            .concat(change.put)
+            .sort(compare)
+        );
+      }),
+    [storeName, compare]
   );
-});
 
-const PomodoroWidget = memo(({ widget }) => {
-  const { state, updatePomodoroSettings } = useApp();
-  const { timeLeft, isActive, isBreak, completedSessions, toggle, reset } =
-    usePomodoro(state.pomodoroSettings);
+  return [records, setRecords];
+};
 
-  const minutes = Math.floor(timeLeft / 60);
-  const seconds = timeLeft % 60;
+// Si IndexedDB no se pudo abrir (navegación privada en algunos navegadores)
+// las listas siguen en localStorage. Se decide antes del primer render y no
+// cambia, así que cada llamada usa siempre el mismo hook.
+const useRecordStore = (key, initialValue, options) => {
+  const { records } = use(RECORD_STORES_LOAD);
+  const useStore = records ? useIndexedDBStore : useLocalStorage;
+  return useStore(key, records ? records[key] : initialValue, options);
+};
 
-  return (
-    <Widget widget={widget}>
-      <div className="pomodoro-widget">
-        <div className="pomodoro-display">
-          <div
-            className={`pomodoro-timer ${isActive ? "active" : ""} ${
-              isBreak ? "break" : "work"
-            }`}
-          >
-            <span className="time">
-              {String(minutes).padStart(2, "0")}:
-              {String(seconds).padStart(2, "0")}
-            </span>
-            <span className="label">{isBreak ? "Descanso" : "Trabajo"}</span>
-          </div>
-          <div className="sessions">Sesiones: {completedSessions}</div>
-        </div>
-        <div className="pomodoro-controls">
-          <button onClick={toggle} className="btn-primary">
-            {isActive ? <Pause size={20} /> : <Play size={20} />}
-            {isActive ? "Pausar" : "Iniciar"}
-          </button>
-          <button onClick={reset} className="btn-secondary">
-            <RotateCcw size={20} /> Reiniciar
-          </button>
-        </div>
-        <div className="pomodoro-settings">
-          <label>
-            Trabajo (min):
-            <input
-              type="number"
-              min="1"
-              max="60"
-              value={state.pomodoroSettings.workDuration}
-              onChange={(e) =>
-                updatePomodoroSettings({
-                  workDuration: parseInt(e.target.value) || 25,
-                })
-              }
-            />
-          </label>
-          <label>
-            Descanso (min):
-            <input
-              type="number"
-              min="1"
-              max="30"
-              value={state.pomodoroSettings.breakDuration}
-              onChange={(e) =>
-                updatePomodoroSettings({
-                  breakDuration: parseInt(e.target.value) || 5,
-                })
-              }
-            />
-          </label>
-          <label className="checkbox">
-            <input
-              type="checkbox"
-              checked={state.pomodoroSettings.soundEnabled}
-              onChange={(e) =>
-                updatePomodoroSettings({ soundEnabled: e.target.checked })
-              }
-            />
-            Sonido
-          </label>
-        </div>
-      </div>
-    </Widget>
-  );
-});
+const byNewestTimestamp = (a, b) => b.timestamp - a.timestamp;
+const byCreation = (a, b) => Number(a.id) - Number(b.id);
+const byStartedAt = (a, b) => a.startedAt - b.startedAt;
 
-const WeatherParticles = memo(({ weatherCode }) => {
-  const [particles, setParticles] = useState([]);
+// Con varias pestañas abiertas, solo la que tiene el candado avisa de los
+// recordatorios y del fin de las fases Pomodoro; al cerrarse, otra toma el
+// relevo. Sin Web Locks cada pestaña avisa por su cuenta.
+const useIsLeaderTab = () => {
+  const [isLeader, setIsLeader] = useState(() => !navigator.locks);
 
   useEffect(() => {
-    let count = 0;
-
-    if (weatherCode >= 51 && weatherCode <= 67) {
-      count = 50;
-    } else if (weatherCode >= 71 && weatherCode <= 77) {
-      count = 40;
-    } else if (weatherCode >= 80) {
-      count = 70;
-    }
+    if (!navigator.locks) return;
+    const controller = new AbortController();
+    let release;
+    navigator.locks
+      .request("betterdesk-leader", { signal: controller.signal }, () => {
+        setIsLeader(true);
+        return new Promise((resolve) => {
+          release = resolve;
+        });
+      })
+      .catch(() => {
+        // Se desmontó mientras esperaba el candado.
+      });
+    return () => {
+      controller.abort();
+      release?.();
+      setIsLeader(false);
+    };
+  }, []);
 
-    if (count > 0) {
-      const newParticles = Array.from({ length: count }, (_, i) => ({
-        id: i,
-        left: Math.random() * 100,
-        delay: Math.random() * 3,
-        duration: 1 + Math.random() * 2,
-      }));
-      setParticles(newParticles);
-    } else {
-      setParticles([]);
-    }
+  return isLeader;
+};
 
-    return () => setParticles([]);
-  }, [weatherCode]);
+const useReminderScheduler = (
+  reminders,
+  setReminders,
+  onFire,
+  onMissed,
+  enabled
+) => {
+  const remindersRef = useRef(reminders);
+  const firedRef = useRef(new Set());
+  const startedAtRef = useRef(Date.now());
 
-  if (particles.length === 0) return null;
+  useEffect(() => {
+    remindersRef.current = reminders;
+  }, [reminders]);
 
-  const isSnow = weatherCode >= 71 && weatherCode <= 77;
+  useEffect(() => {
+    if (!enabled) return;
+
+    const check = () => {
+      const now = Date.now();
+      const due = remindersRef.current.filter((reminder) => {
+        if (reminder.completed || reminder.firedAt) return false;
+        const nextAt = getReminderNextAt(reminder);
+        return (
+          nextAt <= now && !firedRef.current.has(`${reminder.id}:${nextAt}`)
+        );
+      });
+      if (due.length === 0) return;
 
-  return (
-    <div className="weather-particles">
-      {particles.map((particle) => (
-        <div
-          key={particle.id}
-          className={`particle ${isSnow ? "snow" : "rain"}`}
-          style={{
-            left: `${particle.left}%`,
-            animationDelay: `${particle.delay}s`,
-            animationDuration: `${particle.duration}s`,
-          }}
-        />
-      ))}
-    </div>
-  );
-});
+      due.forEach((reminder) =>
+        firedRef.current.add(`${reminder.id}:${getReminderNextAt(reminder)}`)
+      );
+      const dueIds = new Set(due.map((reminder) => reminder.id));
+      setReminders((r) =>
+        r.map((reminder) =>
+          dueIds.has(reminder.id) ? { ...reminder, firedAt: now } : reminder
+        )
+      );
 
-const ClimaWidget = memo(({ widget }) => {
-  const { weather, loading, error } = useWeather();
+      // Lo que venció con la app cerrada se marca como vencido sin
+      // disparar una notificación por cada recordatorio.
+      const missed = due.filter(
+        (reminder) => getReminderNextAt(reminder) < startedAtRef.current
+      );
+      due
+        .filter((reminder) => !missed.includes(reminder))
+        .forEach((reminder) => onFire(reminder));
+      if (missed.length > 0) onMissed(missed);
+    };
 
-  const getWeatherEmoji = (code) => {
-    if (code === 0) return "☀️";
-    if (code <= 3) return "⛅";
-    if (code <= 67) return "🌧️";
-    if (code <= 77) return "🌨️";
-    return "⛈️";
-  };
+    check();
+    const interval = setInterval(check, 1000);
+    document.addEventListener("visibilitychange", check);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener("visibilitychange", check);
+    };
+  }, [setReminders, onFire, onMissed, enabled]);
+};
 
-  return (
-    <Widget widget={widget}>
-      <div className="clima-widget">
-        {loading && <div className="loading">Cargando clima...</div>}
-        {error && <div className="error">{error}</div>}
-        {weather && !loading && (
-          <>
-            <WeatherParticles
-              weatherCode={weather.current?.weather_code || 0}
-            />
-            <div className="weather-icon">
-              {getWeatherEmoji(weather.current?.weather_code || 0)}
-            </div>
-            <div className="temperature">
-              {Math.round(weather.current?.temperature_2m || 0)}°C
-            </div>
-            <div className="location">San Salvador, SV</div>
-          </>
-        )}
-      </div>
-    </Widget>
-  );
-});
+const POMODORO_SOUND =
+  "data:audio/wav;base64,UklGRnoGAABXQVZFZm10IBAAAAABAAEAQB8AAEAfAAABAAgAZGF0YQoGAACBhYqFbF1fdJivrJBhNjVgodDbq2EcBj+a2/LDciUFLIHO8tiJNwgZaLvt559NEAxQp+PwtmMcBjiR1/LMeSwFJHfH8N2QQAoUXrTp66hVFApGn+DyvmwhBSuBzvLZiTYIGGa87eeaSwkNUKrj8LdjHAU5kdfy0HouBSR3x/DdkD8KFF+06OunVBQLSKHg8r5sIQUrgc7y2Yk2CBhlu+3nmk0JDFCq4/C3YxwFOZHX8tB6LgUkd8fw3ZA/ChRftOjrp1QVC0ih4PK+bCEFK4HO8tmJNggYZbvt55pNCQxQquPwt2McBTmR1/LQei4FJHfH8N2QPwoUX7To66dUFQtIoeDyvmwhBSuBzvLZiTYIGGW77eeaTQkMUKrj8LdjHAU5kdfyz3ouBSR3x/DdkD8KFF+06OunVBULS";
 
-const NotasWidget = memo(({ widget }) => {
-  const { state, addNote, deleteNote } = useApp();
-  const [newNote, setNewNote] = useState("");
+const DEFAULT_POMODORO_SETTINGS = {
+  workDuration: 25,
+  breakDuration: 5,
+  longBreakDuration: 15,
+  cyclesPerSet: 4,
+  autoStart: false,
+  soundEnabled: true,
+};
 
-  const handleAddNote = () => {
-    if (newNote.trim()) {
-      addNote(newNote.trim());
-      setNewNote("");
-    }
+const INITIAL_POMODORO_TIMER = {
+  phase: "work",
+  startedAt: null,
+  endsAt: null,
+  remaining: null,
+  plannedDuration: null,
+  cycle: 0,
+  task: null,
+};
+
+const POMODORO_PHASES = {
+  work: {
+    label: "Trabajo",
+    setting: "workDuration",
+    notification: ["¡A trabajar!", "Tiempo de volver al trabajo"],
+  },
+  break: {
+    label: "Descanso",
+    setting: "breakDuration",
+    notification: ["¡Descanso!", "Tiempo de tomar un descanso"],
+  },
+  longBreak: {
+    label: "Descanso largo",
+    setting: "longBreakDuration",
+    notification: [
+      "¡Descanso largo!",
+      "Completaste una serie, desconecta un rato",
+    ],
+  },
+};
+
+const getPomodoroPhaseDuration = (phase, settings) =>
+  settings[POMODORO_PHASES[phase].setting] * MINUTE;
+
+// Siguiente fase tras terminar (o saltar) la actual. Los descansos largos
+// llegan cada `cyclesPerSet` sesiones de trabajo.
+const advancePomodoro = (timer, settings, now) => {
+  const wasWork = timer.phase === "work";
+  const cycle = wasWork ? (timer.cycle ?? 0) + 1 : (timer.cycle ?? 0);
+  let phase = "work";
+  if (wasWork) phase = cycle >= settings.cyclesPerSet ? "longBreak" : "break";
+
+  const next = {
+    ...INITIAL_POMODORO_TIMER,
+    phase,
+    cycle: timer.phase === "longBreak" ? 0 : cycle,
+    task: timer.task ?? null,
   };
+  if (settings.autoStart) {
+    // Se encadena desde el límite de la fase para no acumular desfase, salvo
+    // que la pestaña haya dormido tanto que la fase siguiente ya terminara.
+    const duration = getPomodoroPhaseDuration(phase, settings);
+    const boundary = timer.endsAt ?? now;
+    next.startedAt = boundary + duration > now ? boundary : now;
+    next.endsAt = next.startedAt + duration;
+    next.plannedDuration = duration;
+  }
+  return next;
+};
 
-  return (
-    <Widget widget={widget}>
-      <div className="notas-widget">
-        <div className="note-input">
-          <textarea
-            value={newNote}
-            onChange={(e) => setNewNote(e.target.value)}
-            placeholder="Escribe una nota..."
-            rows={3}
-            onKeyDown={(e) => {
-              if (e.key === "Enter" && e.ctrlKey) handleAddNote();
-            }}
-          />
-          <button onClick={handleAddNote} className="btn-primary">
-            <Plus size={16} /> Agregar
-          </button>
-        </div>
-        <div className="notes-list">
-          {state.notes.length === 0 && (
-            <div className="empty-state">No hay notas aún</div>
-          )}
-          {state.notes.map((note) => (
-            <div key={note.id} className="note-item">
-              <p>{note.content}</p>
-              <div className="note-footer">
-                <span className="note-date">
-                  {new Date(note.timestamp).toLocaleDateString("es-ES", {
-                    day: "numeric",
-                    month: "short",
-                    hour: "2-digit",
-                    minute: "2-digit",
-                  })}
-                </span>
-                <button
-                  onClick={() => deleteNote(note.id)}
-                  className="btn-icon"
-                >
-                  <Trash2 size={14} />
-                </button>
-              </div>
-            </div>
-          ))}
-        </div>
-      </div>
-    </Widget>
+const hasPomodoroTask = (task) => Boolean(task?.id || task?.label?.trim());
+
+const createPomodoroSession = (timer, endedAt, completed) => {
+  const elapsed = timer.endsAt
+    ? timer.plannedDuration - Math.max(0, timer.endsAt - endedAt)
+    : timer.plannedDuration - (timer.remaining ?? 0);
+  return {
+    id: `${timer.startedAt}-${timer.phase}`,
+    phase: timer.phase,
+    startedAt: timer.startedAt,
+    endedAt,
+    duration: Math.max(0, Math.min(timer.plannedDuration, elapsed)),
+    plannedDuration: timer.plannedDuration,
+    completed,
+    task:
+      timer.phase === "work" && hasPomodoroTask(timer.task) ? timer.task : null,
+  };
+};
+
+// El temporizador guarda la hora de fin en lugar de descontar segundos, así
+// no se atrasa cuando el navegador congela la pestaña y sobrevive a recargas.
+// Todas las pestañas comparten el mismo; solo `isLeader` cierra las fases,
+// para que el aviso suene y la sesión se registre una vez.
+const usePomodoro = (settings, onPhaseEnd, isLeader) => {
+  const [timer, setStoredTimer] = useLocalStorage(
+    "betterdesk-pomodoro-timer",
+    INITIAL_POMODORO_TIMER,
+    { merge: pickLatestValue }
   );
-});
+  // Cada cambio lleva su hora: si dos pestañas lo cambian a la vez (una
+  // pausa y otra arranca), se queda entero el último.
+  const setTimer = useCallback(
+    (update) =>
+      setStoredTimer((t) => {
+        const next = typeof update === "function" ? update(t) : update;
+        return next === t ? t : { ...next, updatedAt: Date.now() };
+      }),
+    [setStoredTimer]
+  );
+  const settingsRef = useRef(settings);
+  const timerRef = useRef(timer);
+  const completedRef = useRef(null);
 
-const RecordatoriosWidget = memo(({ widget }) => {
-  const { state, addReminder, toggleReminder, deleteReminder } = useApp();
-  const [newReminderText, setNewReminderText] = useState("");
-  const [newReminderTime, setNewReminderTime] = useState("");
+  useEffect(() => {
+    settingsRef.current = settings;
+  }, [settings]);
 
-  const handleAddReminder = () => {
-    if (newReminderText.trim() && newReminderTime) {
-      addReminder(newReminderText.trim(), newReminderTime);
-      setNewReminderText("");
-      setNewReminderTime("");
-    }
-  };
+  useEffect(() => {
+    timerRef.current = timer;
+  }, [timer]);
 
-  return (
-    <Widget widget={widget}>
-      <div className="recordatorios-widget">
-        <div className="reminder-input">
-          <input
-            type="text"
-            value={newReminderText}
-            onChange={(e) => setNewReminderText(e.target.value)}
-            placeholder="Recordatorio..."
-            onKeyDown={(e) => {
-              if (e.key === "Enter" && newReminderTime) handleAddReminder();
-            }}
-          />
-          <input
-            type="time"
-            value={newReminderTime}
-            onChange={(e) => setNewReminderTime(e.target.value)}
-          />
-          <button onClick={handleAddReminder} className="btn-primary">
-            <Plus size={16} />
-          </button>
-        </div>
-        <div className="reminders-list">
-          {state.reminders.length === 0 && (
-            <div className="empty-state">No hay recordatorios</div>
-          )}
-          {state.reminders.map((reminder) => (
-            <div
-              key={reminder.id}
-              className={`reminder-item ${
-                reminder.completed ? "completed" : ""
-              }`}
-            >
-              <input
-                type="checkbox"
-                checked={reminder.completed}
-                onChange={() => toggleReminder(reminder.id)}
-              />
-              <div className="reminder-content">
-                <span>{reminder.text}</span>
-                <span className="reminder-time">{reminder.time}</span>
-              </div>
-              <button
-                onClick={() => deleteReminder(reminder.id)}
-                className="btn-icon"
-              >
-                <Trash2 size={14} />
-              </button>
-            </div>
-          ))}
-        </div>
-      </div>
-    </Widget>
-  );
-});
+  useEffect(() => {
+    if (!timer.endsAt || !isLeader) return;
 
-const CalculadoraWidget = memo(({ widget }) => {
-  const [display, setDisplay] = useState("0");
-  const [prevValue, setPrevValue] = useState(null);
-  const [operation, setOperation] = useState(null);
-  const [newNumber, setNewNumber] = useState(true);
+    const completePhase = () => {
+      if (Date.now() < timer.endsAt || completedRef.current === timer.endsAt) {
+        return;
+      }
+      completedRef.current = timer.endsAt;
+      const now = Date.now();
+      const next = advancePomodoro(timer, settingsRef.current, now);
 
-  const handleNumber = (num) => {
-    if (newNumber) {
-      setDisplay(num);
-      setNewNumber(false);
-    } else {
-      setDisplay(display === "0" ? num : display + num);
-    }
-  };
+      if (settingsRef.current.soundEnabled) {
+        new Audio(POMODORO_SOUND).play().catch(() => {});
+      }
+      if ("Notification" in window && Notification.permission === "granted") {
+        const [title, body] = POMODORO_PHASES[next.phase].notification;
+        new Notification(title, { body, tag: "betterdesk-pomodoro" });
+      }
 
-  const handleOperation = (op) => {
-    const current = parseFloat(display);
-    if (prevValue === null) {
-      setPrevValue(current);
-    } else if (operation) {
-      const result = calculate(prevValue, current, operation);
-      setDisplay(String(result));
-      setPrevValue(result);
-    }
-    setOperation(op);
-    setNewNumber(true);
-  };
+      if (timer.startedAt) {
+        onPhaseEnd(createPomodoroSession(timer, timer.endsAt, true));
+      }
+      setTimer((t) => (t.endsAt !== timer.endsAt ? t : next));
+    };
 
-  const calculate = (a, b, op) => {
-    switch (op) {
-      case "+":
-        return a + b;
-      case "-":
-        return a - b;
-      case "×":
-        return a * b;
-      case "÷":
-        return b !== 0 ? a / b : "Error";
-      default:
-        return b;
-    }
-  };
+    completePhase();
+    const timeout = setTimeout(
+      completePhase,
+      Math.max(0, timer.endsAt - Date.now())
+    );
+    const interval = setInterval(completePhase, 1000);
+    document.addEventListener("visibilitychange", completePhase);
+    return () => {
+      clearTimeout(timeout);
+      clearInterval(interval);
+      document.removeEventListener("visibilitychange", completePhase);
+    };
+  }, [timer, setTimer, onPhaseEnd, isLeader]);
 
-  const handleEquals = () => {
-    if (operation && prevValue !== null) {
-      const result = calculate(prevValue, parseFloat(display), operation);
-      setDisplay(String(result));
-      setPrevValue(null);
-      setOperation(null);
-      setNewNumber(true);
-    }
-  };
+  const toggle = useCallback(() => {
+    const now = Date.now();
+    setTimer((t) => {
+      if (t.endsAt) {
+        return { ...t, endsAt: null, remaining: Math.max(0, t.endsAt - now) };
+      }
+      if (t.remaining != null) {
+        return { ...t, endsAt: now + t.remaining, remaining: null };
+      }
+      const duration = getPomodoroPhaseDuration(t.phase, settingsRef.current);
+      return {
+        ...t,
+        startedAt: now,
+        endsAt: now + duration,
+        plannedDuration: duration,
+        remaining: null,
+      };
+    });
+  }, [setTimer]);
+
+  // Reiniciar o saltar una fase ya empezada la registra como abortada.
+  const abortCurrent = useCallback(
+    (now) => {
+      const current = timerRef.current;
+      if (current.startedAt && completedRef.current !== current.endsAt) {
+        onPhaseEnd(createPomodoroSession(current, now, false));
+      }
+    },
+    [onPhaseEnd]
+  );
 
-  const handleClear = () => {
-    setDisplay("0");
-    setPrevValue(null);
-    setOperation(null);
-    setNewNumber(true);
-  };
+  const reset = useCallback(() => {
+    abortCurrent(Date.now());
+    setTimer((t) => ({ ...INITIAL_POMODORO_TIMER, task: t.task ?? null }));
+  }, [abortCurrent, setTimer]);
 
-  const handleDecimal = () => {
-    if (newNumber) {
-      setDisplay("0.");
-      setNewNumber(false);
-    } else if (!display.includes(".")) {
-      setDisplay(display + ".");
-    }
-  };
+  const setTask = useCallback(
+    (task) => {
+      setTimer((t) => ({ ...t, task }));
+    },
+    [setTimer]
+  );
 
-  return (
-    <Widget widget={widget}>
-      <div className="calculadora-widget">
-        <div className="calc-display">{display}</div>
-        <div className="calc-grid">
-          <button onClick={handleClear} className="calc-btn calc-clear">
-            C
-          </button>
-          <button
-            onClick={() => handleOperation("÷")}
-            className="calc-btn calc-op"
-          >
-            ÷
-          </button>
-          <button
-            onClick={() => handleOperation("×")}
-            className="calc-btn calc-op"
-          >
-            ×
-          </button>
-          <button
-            onClick={() => handleOperation("-")}
-            className="calc-btn calc-op"
-          >
-            -
-          </button>
+  const skip = useCallback(() => {
+    const now = Date.now();
+    abortCurrent(now);
+    setTimer((t) =>
+      advancePomodoro(
+        { ...t, endsAt: t.endsAt && now },
+        settingsRef.current,
+        now
+      )
+    );
+  }, [abortCurrent, setTimer]);
+
+  return { timer, toggle, reset, skip, setTask };
+};
 
-          <button onClick={() => handleNumber("7")} className="calc-btn">
-            7
-          </button>
-          <button onClick={() => handleNumber("8")} className="calc-btn">
-            8
-          </button>
-          <button onClick={() => handleNumber("9")} className="calc-btn">
-            9
-          </button>
-          <button
-            onClick={() => handleOperation("+")}
-            className="calc-btn calc-op calc-plus"
-          >
-            +
-          </button>
+// Segundos restantes del temporizador, recalculados a partir de la hora de fin.
+const usePomodoroCountdown = (timer, settings) => {
+  const [now, setNow] = useState(() => Date.now());
 
-          <button onClick={() => handleNumber("4")} className="calc-btn">
-            4
-          </button>
-          <button onClick={() => handleNumber("5")} className="calc-btn">
-            5
-          </button>
-          <button onClick={() => handleNumber("6")} className="calc-btn">
-            6
-          </button>
-          <button onClick={handleEquals} className="calc-btn calc-equals">
-            =
-          </button>
+  useEffect(() => {
+    if (!timer.endsAt) return;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [timer.endsAt]);
+
+  const duration =
+    timer.plannedDuration ?? getPomodoroPhaseDuration(timer.phase, settings);
+  const remaining = timer.endsAt
+    ? Math.min(duration, Math.max(0, timer.endsAt - now))
+    : (timer.remaining ?? duration);
+  return Math.ceil(remaining / 1000);
+};
 
-          <button onClick={() => handleNumber("1")} className="calc-btn">
-            1
-          </button>
-          <button onClick={() => handleNumber("2")} className="calc-btn">
-            2
-          </button>
-          <button onClick={() => handleNumber("3")} className="calc-btn">
-            3
-          </button>
-          <button onClick={handleDecimal} className="calc-btn">
-            .
-          </button>
+const FORECAST_HOURS = 24;
+
+// `value` es el nombre que espera Open-Meteo.
+const TEMPERATURE_UNITS = [
+  { value: "celsius", label: "°C" },
+  { value: "fahrenheit", label: "°F" },
+];
+const WIND_SPEED_UNITS = [
+  { value: "kmh", label: "km/h" },
+  { value: "mph", label: "mph" },
+  { value: "ms", label: "m/s" },
+  { value: "kn", label: "nudos" },
+];
+const PRECIPITATION_UNITS = [
+  { value: "mm", label: "mm", name: "milímetros" },
+  { value: "inch", label: "in", name: "pulgadas" },
+];
+
+// Países que miden la temperatura en °F; también usan mph y pulgadas.
+const FAHRENHEIT_REGIONS = ["US", "BS", "BZ", "KY", "LR", "PW", "FM", "MH"];
+
+// Las unidades por defecto salen de la región del idioma del navegador.
+const getDefaultWeatherUnits = () => {
+  let region;
+  try {
+    region = new Intl.Locale(navigator.language).maximize().region;
+  } catch {
+    region = undefined;
+  }
+  const imperial = FAHRENHEIT_REGIONS.includes(region);
+  return {
+    temperature: imperial ? "fahrenheit" : "celsius",
+    windSpeed: imperial || region === "GB" ? "mph" : "kmh",
+    precipitation: imperial ? "inch" : "mm",
+  };
+};
 
-          <button
-            onClick={() => handleNumber("0")}
-            className="calc-btn calc-zero"
-          >
-            0
-          </button>
-        </div>
-      </div>
-    </Widget>
+const DEFAULT_WEATHER_UNITS =
+  typeof navigator === "undefined"
+    ? { temperature: "celsius", windSpeed: "kmh", precipitation: "mm" }
+    : getDefaultWeatherUnits();
+
+const getUnitLabel = (units, value) =>
+  units.find((unit) => unit.value === value)?.label ?? value;
+
+const formatWindSpeed = (speed, unit) =>
+  `${Math.round(speed)} ${getUnitLabel(WIND_SPEED_UNITS, unit)}`;
+
+const formatPrecipitation = (amount, unit) =>
+  `${amount.toFixed(unit === "inch" ? 2 : 1)} ${getUnitLabel(
+    PRECIPITATION_UNITS,
+    unit
+  )}`;
+
+// Las próximas horas a partir de la actual. Open-Meteo da las horas en la
+// zona del lugar como "2024-05-01T13:00", así que se comparan como texto.
+const getHourlyForecast = (weather, count = FORECAST_HOURS) => {
+  const hourly = weather.hourly;
+  if (!hourly?.time) return [];
+  const currentHour = weather.current?.time?.slice(0, 13) ?? "";
+  const start = hourly.time.findIndex(
+    (time) => time.slice(0, 13) >= currentHour
   );
-});
+  if (start === -1) return [];
+  return hourly.time.slice(start, start + count).map((time, i) => ({
+    time,
+    temperature: hourly.temperature_2m[start + i],
+    precipitation: hourly.precipitation_probability[start + i] ?? 0,
+    code: hourly.weather_code[start + i],
+  }));
+};
 
-const MonedasWidget = memo(({ widget }) => {
-  const { rates, loading } = useCurrency();
-  const [amount, setAmount] = useState("1");
-  const [fromCurrency, setFromCurrency] = useState("USD");
-  const [toCurrency, setToCurrency] = useState("EUR");
-
-  const currencies = [
-    { code: "USD", name: "Dólar", flag: "🇺🇸" },
-    { code: "EUR", name: "Euro", flag: "🇪🇺" },
-    { code: "GBP", name: "Libra", flag: "🇬🇧" },
-    { code: "JPY", name: "Yen", flag: "🇯🇵" },
-    { code: "CNY", name: "Yuan", flag: "🇨🇳" },
-    { code: "CAD", name: "Dólar CAD", flag: "🇨🇦" },
-    { code: "AUD", name: "Dólar AUD", flag: "🇦🇺" },
-    { code: "CHF", name: "Franco", flag: "🇨🇭" },
-    { code: "MXN", name: "Peso MXN", flag: "🇲🇽" },
-  ];
+const getDailyForecast = (weather) => {
+  const daily = weather.daily;
+  if (!daily?.time) return [];
+  return daily.time.map((date, i) => ({
+    date,
+    code: daily.weather_code[i],
+    max: daily.temperature_2m_max[i],
+    min: daily.temperature_2m_min[i],
+    precipitation: daily.precipitation_probability_max[i] ?? 0,
+    precipitationSum: daily.precipitation_sum?.[i] ?? 0,
+  }));
+};
 
-  const convert = () => {
-    if (!rates || !amount) return 0;
-    const amountNum = parseFloat(amount);
-    if (isNaN(amountNum)) return 0;
+// Los datos vienen del servicio compartido de `weather.js`: mientras se
+// actualizan, o si falla la conexión, `data` sigue con lo último que llegó y
+// `fetchedAt` dice de cuándo es.
+const useWeather = ({ latitude, longitude }, units) => {
+  const { temperature, windSpeed, precipitation } = units;
+  const [snapshot, setSnapshot] = useState({
+    data: null,
+    fetchedAt: null,
+    loading: true,
+    error: null,
+  });
 
-    const fromRate = rates[fromCurrency] || 1;
-    const toRate = rates[toCurrency] || 1;
-    const result = (amountNum / fromRate) * toRate;
-    return result.toFixed(2);
-  };
+  useEffect(
+    () =>
+      subscribeWeather(
+        {
+          location: { latitude, longitude },
+          units: { temperature, windSpeed, precipitation },
+        },
+        setSnapshot
+      ),
+    [latitude, longitude, temperature, windSpeed, precipitation]
+  );
 
-  return (
-    <Widget widget={widget}>
-      <div className="monedas-widget">
-        {loading ? (
-          <div className="loading">Cargando tasas...</div>
-        ) : (
-          <>
-            <div className="currency-input-group">
-              <label>Cantidad</label>
-              <input
-                type="number"
-                value={amount}
-                onChange={(e) => setAmount(e.target.value)}
-                placeholder="Cantidad"
-              />
-            </div>
-            <div className="currency-selector">
-              <div className="currency-select-group">
-                <label>De</label>
-                <select
-                  value={fromCurrency}
-                  onChange={(e) => setFromCurrency(e.target.value)}
-                >
-                  {currencies.map((curr) => (
-                    <option key={curr.code} value={curr.code}>
-                      {curr.flag} {curr.name}
-                    </option>
-                  ))}
-                </select>
-              </div>
-              <div className="currency-arrow">→</div>
-              <div className="currency-select-group">
-                <label>A</label>
-                <select
-                  value={toCurrency}
-                  onChange={(e) => setToCurrency(e.target.value)}
-                >
-                  {currencies.map((curr) => (
-                    <option key={curr.code} value={curr.code}>
-                      {curr.flag} {curr.name}
-                    </option>
-                  ))}
-                </select>
-              </div>
-            </div>
-            <div className="currency-result">
-              <div className="result-label">Resultado</div>
-              <div className="result-amount">
-                {convert()} {toCurrency}
-              </div>
-            </div>
-            {rates && (
-              <div className="exchange-rate">
-                1 {fromCurrency} ={" "}
-                {(rates[toCurrency] / rates[fromCurrency]).toFixed(4)}{" "}
-                {toCurrency}
-              </div>
-            )}
-          </>
-        )}
-      </div>
-    </Widget>
+  const retry = useCallback(
+    () =>
+      refreshWeather({
+        location: { latitude, longitude },
+        units: { temperature, windSpeed, precipitation },
+      }),
+    [latitude, longitude, temperature, windSpeed, precipitation]
   );
-});
 
-const RelojWidget = memo(({ widget }) => {
-  const [time, setTime] = useState(new Date());
+  return { ...snapshot, retry };
+};
 
-  const timezones = [
-    { name: "San Salvador", zone: "America/El_Salvador", flag: "🇸🇻" },
-    { name: "New York", zone: "America/New_York", flag: "🇺🇸" },
-    { name: "London", zone: "Europe/London", flag: "🇬🇧" },
-    { name: "Tokyo", zone: "Asia/Tokyo", flag: "🇯🇵" },
-    { name: "Sydney", zone: "Australia/Sydney", flag: "🇦🇺" },
-    { name: "Dubai", zone: "Asia/Dubai", flag: "🇦🇪" },
-  ];
+const useCurrency = () => {
+  const [rates, setRates] = useState(null);
+  const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    const timer = setInterval(() => setTime(new Date()), 1000);
-    return () => clearInterval(timer);
+    const fetchRates = async () => {
+      try {
+        const response = await fetch(
+          "https://api.exchangerate-api.com/v4/latest/USD"
+        );
+        const data = await response.json();
+        setRates(data.rates);
+        setLoading(false);
+      } catch (err) {
+        setLoading(false);
+      }
+    };
+    fetchRates();
   }, []);
 
-  const getTimeInZone = (zone) => {
-    return time.toLocaleTimeString("es-ES", {
-      timeZone: zone,
-      hour: "2-digit",
-      minute: "2-digit",
-      second: "2-digit",
-    });
-  };
+  return { rates, loading };
+};
 
-  return (
-    <Widget widget={widget}>
-      <div className="reloj-widget">
-        {timezones.map((tz) => (
-          <div key={tz.zone} className="timezone-item">
-            <div className="timezone-info">
-              <span className="timezone-flag">{tz.flag}</span>
-              <span className="timezone-name">{tz.name}</span>
-            </div>
-            <div className="timezone-time">{getTimeInZone(tz.zone)}</div>
-          </div>
-        ))}
-      </div>
-    </Widget>
-  );
+// ==================== STORAGE ====================
+const STORAGE_VERSION = 2;
+
+const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+const isText = (value) => typeof value === "string" && value.length > 0;
+
+const expectArray = (value) =>
+  Array.isArray(value) ? null : "No es una lista";
+
+const expectObject = (value) =>
+  isPlainObject(value) ? null : "No es un objeto";
+
+// Devuelve el primer problema de un registro: `checks` son pares
+// `[esVálido, mensaje]`.
+const checkRecord = (record, checks = []) => {
+  if (!isPlainObject(record) || !isText(record.id)) return "Registro sin id";
+  const failed = checks.find(([isValid]) => !isValid(record));
+  return failed ? failed[1] : null;
+};
+
+const STORAGE_SCHEMAS = {
+  "betterdesk-theme": {
+    label: "Tema",
+    validate: (value) =>
+      ["light", "dark"].includes(value) ? null : "Tema desconocido",
+  },
+  "betterdesk-widgets": {
+    label: "Widgets",
+    validate: expectArray,
+    validateRecord: (widget) =>
+      checkRecord(widget, [
+        [(w) => isText(w.type), "Widget sin tipo"],
+        [
+          (w) => isFiniteNumber(w.position?.x) && isFiniteNumber(w.position?.y),
+          "Posición inválida",
+        ],
+        [
+          (w) =>
+            isFiniteNumber(w.size?.width) && isFiniteNumber(w.size?.height),
+          "Tamaño inválido",
+        ],
+      ]),
+  },
+  "betterdesk-desks": {
+    label: "Escritorios",
+    validate: expectArray,
+    validateRecord: (desk) =>
+      checkRecord(desk, [[(d) => isText(d.name), "Escritorio sin nombre"]]),
+  },
+  "betterdesk-active-desk": {
+    label: "Escritorio activo",
+    validate: (value) => (isText(value) ? null : "Escritorio inválido"),
+  },
+  "betterdesk-layout": { label: "Disposición", validate: expectObject },
+  "betterdesk-notes": {
+    label: "Notas",
+    validate: expectArray,
+    validateRecord: (note) =>
+      checkRecord(note, [
+        [(n) => typeof n.content === "string", "Nota sin contenido"],
+        [(n) => isFiniteNumber(n.timestamp), "Nota sin fecha"],
+      ]),
+  },
+  "betterdesk-collections": {
+    label: "Colecciones",
+    validate: expectArray,
+    validateRecord: (collection) =>
+      checkRecord(collection, [
+        [(c) => isText(c.name), "Colección sin nombre"],
+      ]),
+  },
+  "betterdesk-reminders": {
+    label: "Recordatorios",
+    validate: expectArray,
+    validateRecord: (reminder) =>
+      checkRecord(reminder, [
+        [(r) => typeof r.text === "string", "Recordatorio sin texto"],
+        [(r) => isFiniteNumber(r.dueAt), "Recordatorio sin fecha"],
+      ]),
+  },
+  "betterdesk-pomodoro": {
+    label: "Ajustes del Pomodoro",
+    validate: expectObject,
+  },
+  "betterdesk-weather-units": {
+    label: "Unidades del clima",
+    // Los campos que falten se completan con las unidades por defecto.
+    validate: (value) =>
+      expectObject(value) ??
+      ([
+        ["temperature", TEMPERATURE_UNITS],
+        ["windSpeed", WIND_SPEED_UNITS],
+        ["precipitation", PRECIPITATION_UNITS],
+      ].every(
+        ([field, units]) =>
+          value[field] === undefined ||
+          units.some((unit) => unit.value === value[field])
+      )
+        ? null
+        : "Unidad desconocida"),
+  },
+  "betterdesk-pomodoro-timer": {
+    label: "Temporizador Pomodoro",
+    validate: (value) =>
+      expectObject(value) ??
+      (value.phase in POMODORO_PHASES ? null : "Fase desconocida"),
+  },
+  "betterdesk-pomodoro-history": {
+    label: "Historial del Pomodoro",
+    validate: expectArray,
+    validateRecord: (session) =>
+      checkRecord(session, [
+        [(entry) => entry.phase in POMODORO_PHASES, "Fase desconocida"],
+        [
+          (entry) =>
+            isFiniteNumber(entry.startedAt) && isFiniteNumber(entry.endedAt),
+          "Sesión sin fechas",
+        ],
+      ]),
+  },
+};
+
+// Cada migración recibe los datos de la versión anterior, indexados por
+// clave, y devuelve los de `version`. No deben modificar el objeto recibido.
+const STORAGE_MIGRATIONS = [
+  {
+    // Completa los campos que antes se calculaban al vuelo: fecha de los
+    // recordatorios, escritorio y orden de apilado de los widgets.
+    version: 2,
+    migrate: (data) => ({
+      ...data,
+      ...(Array.isArray(data["betterdesk-reminders"]) && {
+        "betterdesk-reminders": data["betterdesk-reminders"].map((reminder) =>
+          isPlainObject(reminder)
+            ? {
+                snoozedUntil: null,
+                firedAt: null,
+                occurrence: 1,
+                recurrence: null,
+                ...reminder,
+                dueAt:
+                  typeof reminder.time === "string"
+                    ? getReminderDueAt(reminder)
+                    : reminder.dueAt,
+                timeZone: reminder.timeZone ?? getLocalTimeZone(),
+              }
+            : reminder
+        ),
+      }),
+      ...(Array.isArray(data["betterdesk-widgets"]) && {
+        "betterdesk-widgets": normalizeWidgetStack(
+          data["betterdesk-widgets"].filter(isPlainObject)
+        ).map((widget) => ({
+          ...widget,
+          deskId: getWidgetDeskId(widget),
+        })),
+      }),
+    }),
+  },
+];
+
+const STORAGE_REPORT = migrateStorage({
+  version: STORAGE_VERSION,
+  migrations: STORAGE_MIGRATIONS,
+  schemas: STORAGE_SCHEMAS,
 });
 
-// ==================== MAIN APP ====================
-const BetterDesk = () => {
-  const { state, toggleTheme, addWidget } = useApp();
-  const [time, setTime] = useState(new Date());
-  const [mousePos, setMousePos] = useState({ x: 0, y: 0 });
+// Las listas de IndexedDB se cargan una vez, después de `migrateStorage`
+// (la primera apertura copia lo que este deja en localStorage). La app espera
+// en `Suspense` a tenerlas para que nada trabaje con listas vacías.
+const RECORD_STORES_LOAD = loadRecordStores({
+  version: STORAGE_VERSION,
+  migrations: STORAGE_MIGRATIONS,
+  schemas: STORAGE_SCHEMAS,
+});
+
+// ---------- Copias de seguridad ----------
+const BACKUP_FORMAT = "betterdesk-backup";
+
+const createBackup = async () => ({
+  format: BACKUP_FORMAT,
+  schemaVersion: STORAGE_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: await readStoredData(),
+});
+
+// Valida una copia y la lleva a la versión actual del esquema; los registros
+// que no pasan la validación se devuelven aparte en `rejected` y las claves
+// sin esquema, en `skippedKeys`.
+const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error("El archivo no es JSON válido");
+  }
+  if (
+    !isPlainObject(backup) ||
+    backup.format !== BACKUP_FORMAT ||
+    !isPlainObject(backup.data)
+  ) {
+    throw new Error("El archivo no es una copia de BetterDesk");
+  }
+  const schemaVersion = Number(backup.schemaVersion);
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    throw new Error("La copia no indica su versión");
+  }
+  if (schemaVersion > STORAGE_VERSION) {
+    throw new Error("La copia es de una versión más reciente de BetterDesk");
+  }
+
+  const data = Object.fromEntries(
+    Object.entries(backup.data).filter(([key]) => key.startsWith("betterdesk-"))
+  );
+  let migrated;
+  try {
+    migrated = migrateData(data, schemaVersion, STORAGE_MIGRATIONS);
+  } catch (error) {
+    throw new Error(`No se pudo actualizar la copia: ${error.message}`);
+  }
+  // Solo se importan las claves que tienen esquema; el resto no se podría
+  // validar ni migrar más adelante.
+  const skippedKeys = Object.keys(migrated).filter(
+    (key) => !(key in STORAGE_SCHEMAS)
+  );
+  const { valid, rejected } = validateStoredData(
+    Object.fromEntries(
+      Object.entries(migrated).filter(([key]) => key in STORAGE_SCHEMAS)
+    ),
+    STORAGE_SCHEMAS
+  );
+  return {
+    exportedAt: backup.exportedAt,
+    schemaVersion,
+    data: valid,
+    rejected,
+    skippedKeys,
+  };
+};
+
+// Fusión por id: los registros de la copia sustituyen a los que tienen el
+// mismo id y se añaden los nuevos; los ajustes actuales se conservan y solo
+// se completan los que falten.
+const mergeBackupData = (current, incoming) => {
+  const merged = { ...incoming, ...current };
+  Object.entries(incoming).forEach(([key, theirs]) => {
+    const mine = current[key];
+    if (isRecordList(mine) && isRecordList(theirs)) {
+      const imported = new Map(theirs.map((record) => [record.id, record]));
+      const existing = new Set(mine.map((record) => record.id));
+      merged[key] = [
+        ...mine.map((record) => imported.get(record.id) ?? record),
+        ...theirs.filter((record) => !existing.has(record.id)),
+      ];
+    } else if (isPlainObject(mine) && isPlainObject(theirs)) {
+      merged[key] = { ...theirs, ...mine };
+    }
+  });
+  if (Array.isArray(merged["betterdesk-widgets"])) {
+    merged["betterdesk-widgets"] = normalizeWidgetStack(
+      merged["betterdesk-widgets"]
+    );
+  }
+  return merged;
+};
+
+const summarizeBackupChanges = (current, next) =>
+  [...new Set([...Object.keys(current), ...Object.keys(next)])]
+    .map((key) => {
+      const before = current[key];
+      const after = next[key];
+      const label = STORAGE_SCHEMAS[key]?.label ?? key;
+      if (isRecordList(before ?? []) && isRecordList(after ?? [])) {
+        const beforeById = new Map(
+          (before ?? []).map((record) => [record.id, record])
+        );
+        const afterIds = new Set((after ?? []).map((record) => record.id));
+        return {
+          key,
+          label,
+          added: (after ?? []).filter((record) => !beforeById.has(record.id))
+            .length,
+          updated: (after ?? []).filter(
+            (record) =>
+              beforeById.has(record.id) &&
+              !isSameValue(record, beforeById.get(record.id))
+          ).length,
+          removed: (before ?? []).filter((record) => !afterIds.has(record.id))
+            .length,
+        };
+      }
+      return {
+        key,
+        label,
+        replaced: after !== undefined && !isSameValue(before, after),
+        removed: after === undefined ? 1 : 0,
+      };
+    })
+    .filter(
+      (change) =>
+        change.added || change.updated || change.removed || change.replaced
+    );
+
+// Escribe los datos y recarga para que la app los lea de nuevo.
+const applyBackup = async (backup, mode) => {
+  const next =
+    mode === "merge"
+      ? mergeBackupData(await readStoredData(), backup.data)
+      : backup.data;
+  await replaceStoredData(next, STORAGE_VERSION);
+  window.location.reload();
+};
+
+// ==================== PROVIDER ====================
+const AppProvider = ({ children }) => {
+  const [theme, setTheme] = useLocalStorage(
+    "betterdesk-theme",
+    window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light"
+  );
+  const [allWidgets, setWidgets] = useLocalStorage("betterdesk-widgets", []);
+  const [storedDesks, setDesks] = useLocalStorage(
+    "betterdesk-desks",
+    DEFAULT_DESKS
+  );
+  const desks = storedDesks.length > 0 ? storedDesks : DEFAULT_DESKS;
+  const [storedActiveDeskId, setActiveDeskId] = useLocalStorage(
+    "betterdesk-active-desk",
+    DEFAULT_DESK_ID,
+    // Cada pestaña puede mostrar un escritorio distinto.
+    { sync: false }
+  );
+  const activeDeskId = desks.some((desk) => desk.id === storedActiveDeskId)
+    ? storedActiveDeskId
+    : desks[0].id;
+  const widgets = useMemo(
+    () =>
+      allWidgets.filter((widget) => getWidgetDeskId(widget) === activeDeskId),
+    [allWidgets, activeDeskId]
+  );
+  const [storedLayoutSettings, setLayoutSettings] = useLocalStorage(
+    "betterdesk-layout",
+    DEFAULT_LAYOUT_SETTINGS
+  );
+  const layoutSettings = useMemo(
+    () => ({ ...DEFAULT_LAYOUT_SETTINGS, ...storedLayoutSettings }),
+    [storedLayoutSettings]
+  );
+  const [notes, setNotes] = useRecordStore("betterdesk-notes", [], {
+    compare: byNewestTimestamp,
+  });
+  const [collections, setCollections] = useLocalStorage(
+    "betterdesk-collections",
+    []
+  );
+  const [reminders, setReminders] = useRecordStore("betterdesk-reminders", [], {
+    compare: byCreation,
+  });
+  const [storedPomodoroSettings, setPomodoroSettings] = useLocalStorage(
+    "betterdesk-pomodoro",
+    DEFAULT_POMODORO_SETTINGS
+  );
+  const pomodoroSettings = useMemo(
+    () => ({ ...DEFAULT_POMODORO_SETTINGS, ...storedPomodoroSettings }),
+    [storedPomodoroSettings]
+  );
+  const [storedWeatherUnits, setWeatherUnits] = useLocalStorage(
+    "betterdesk-weather-units",
+    DEFAULT_WEATHER_UNITS
+  );
+  const weatherUnits = useMemo(
+    () => ({ ...DEFAULT_WEATHER_UNITS, ...storedWeatherUnits }),
+    [storedWeatherUnits]
+  );
+
+  const [toasts, setToasts] = useState([]);
+  const recordStoresReport = use(RECORD_STORES_LOAD);
+  const [storageReport, setStorageReport] = useState(() => ({
+    ...STORAGE_REPORT,
+    error: STORAGE_REPORT.error ?? recordStoresReport.error,
+    quarantined: {
+      ...STORAGE_REPORT.quarantined,
+      ...recordStoresReport.quarantined,
+    },
+  }));
+  const toastIdRef = useRef(0);
+
+  const [pomodoroHistory, setPomodoroHistory] = useRecordStore(
+    "betterdesk-pomodoro-history",
+    [],
+    { compare: byStartedAt }
+  );
+
+  const isLeaderTab = useIsLeaderTab();
+
+  const logPomodoroSession = useCallback(
+    (session) => {
+      setPomodoroHistory((h) =>
+        h.some((entry) => entry.id === session.id) ? h : [...h, session]
+      );
+    },
+    [setPomodoroHistory]
+  );
+
+  const {
+    timer: pomodoroTimer,
+    toggle: togglePomodoro,
+    reset: resetPomodoro,
+    skip: skipPomodoro,
+    setTask: setPomodoroTask,
+  } = usePomodoro(pomodoroSettings, logPomodoroSession, isLeaderTab);
 
   useEffect(() => {
-    const timer = setInterval(() => setTime(new Date()), 1000);
-    return () => clearInterval(timer);
-  }, []);
+    document.documentElement.setAttribute("data-theme", theme);
+  }, [theme]);
 
   useEffect(() => {
-    const handleMouseMove = (e) => {
-      setMousePos({ x: e.clientX, y: e.clientY });
-    };
-    window.addEventListener("mousemove", handleMouseMove);
-    return () => window.removeEventListener("mousemove", handleMouseMove);
+    if ("Notification" in window && Notification.permission === "default") {
+      Notification.requestPermission();
+    }
   }, []);
 
-  return (
-    <div className="betterdesk">
-      <div className="background-animation">
-        <div className="gradient-orb orb-1"></div>
-        <div className="gradient-orb orb-2"></div>
-        <div className="gradient-orb orb-3"></div>
-        <div
-          className="mouse-gradient"
-          style={{
-            left: `${mousePos.x}px`,
-            top: `${mousePos.y}px`,
-          }}
-        ></div>
-        <div className="grid-overlay"></div>
-      </div>
-      <div className="topbar">
-        <div className="logo">BetterDesk</div>
-        <div className="clock">
-          {time.toLocaleDateString("es-ES", {
-            weekday: "long",
-            day: "numeric",
-            month: "long",
-          })}
-          {" • "}
-          {time.toLocaleTimeString("es-ES", {
-            hour: "2-digit",
-            minute: "2-digit",
-          })}
-        </div>
-        <div className="controls">
-          <button
-            onClick={toggleTheme}
-            className="btn-icon"
-            aria-label="Cambiar tema"
-          >
-            {state.theme === "dark" ? <Sun size={20} /> : <Moon size={20} />}
-          </button>
-        </div>
-      </div>
+  const toggleTheme = useCallback(() => {
+    setTheme((t) => (t === "light" ? "dark" : "light"));
+  }, [setTheme]);
 
-      <div className="widgets-container">
-        {state.widgets.map((widget) => {
-          switch (widget.type) {
-            case "pomodoro":
-              return <PomodoroWidget key={widget.id} widget={widget} />;
-            case "clima":
-              return <ClimaWidget key={widget.id} widget={widget} />;
-            case "notas":
-              return <NotasWidget key={widget.id} widget={widget} />;
-            case "recordatorios":
-              return <RecordatoriosWidget key={widget.id} widget={widget} />;
-            case "calculadora":
-              return <CalculadoraWidget key={widget.id} widget={widget} />;
-            case "monedas":
-              return <MonedasWidget key={widget.id} widget={widget} />;
-            case "reloj":
-              return <RelojWidget key={widget.id} widget={widget} />;
-            default:
-              return null;
-          }
-        })}
-        {state.widgets.length === 0 && (
-          <div className="welcome-message">
-            <h2>¡Bienvenido a BetterDesk!</h2>
-            <p>Agrega widgets desde el menú inferior para comenzar</p>
-          </div>
-        )}
-      </div>
+  const addWidget = useCallback(
+    (type) => {
+      const definition = getWidgetType(type);
+      if (!definition) return;
+
+      const newWidget = {
+        id: `${type}-${Date.now()}`,
+        type,
+        title: definition.title,
+        isOpen: true,
+        size: definition.defaultSize,
+      };
+      setWidgets((w) => [
+        ...w,
+        {
+          ...newWidget,
+          deskId: activeDeskId,
+          position: findFreeSpot(
+            w.filter((widget) => getWidgetDeskId(widget) === activeDeskId),
+            newWidget.size,
+            getDeskBounds()
+          ),
+          z: getTopZ(w) + 1,
+        },
+      ]);
+    },
+    [setWidgets, activeDeskId]
+  );
+
+  // Colecciones de las notas y recordatorios que ya no muestra ningún
+  // widget, con cuántos hay de cada tipo.
+  const orphanedCollections = useMemo(() => {
+    const byId = new Map();
+    const count = (records, kind) =>
+      records
+        .filter((record) => isOrphanedRecord(record, collections, allWidgets))
+        .forEach((record) => {
+          const entry = byId.get(record.collection) ?? {
+            id: record.collection,
+            notes: 0,
+            reminders: 0,
+          };
+          entry[kind] += 1;
+          byId.set(record.collection, entry);
+        });
+    count(notes, "notes");
+    count(reminders, "reminders");
+    return [...byId.values()];
+  }, [notes, reminders, collections, allWidgets]);
+
+  const removeWidget = useCallback(
+    (id) => {
+      setWidgets((w) => w.filter((widget) => widget.id !== id));
+    },
+    [setWidgets]
+  );
+
+  const setWidgetCollection = useCallback(
+    (id, collection) => {
+      setWidgets((w) =>
+        w.map((widget) =>
+          widget.id === id ? { ...widget, collection } : widget
+        )
+      );
+    },
+    [setWidgets]
+  );
+
+  const addCollection = useCallback(
+    (name) => {
+      const id = `collection-${Date.now()}`;
+      setCollections((c) => [...c, { id, name: name.trim() }]);
+      return id;
+    },
+    [setCollections]
+  );
+
+  const toggleWidget = useCallback(
+    (id) => {
+      setWidgets((w) =>
+        w.map((widget) =>
+          widget.id === id ? { ...widget, isOpen: !widget.isOpen } : widget
+        )
+      );
+    },
+    [setWidgets]
+  );
+
+  const updateWidgetPosition = useCallback(
+    (id, position) => {
+      setWidgets((w) =>
+        w.map((widget) => (widget.id === id ? { ...widget, position } : widget))
+      );
+    },
+    [setWidgets]
+  );
+
+  const focusWidget = useCallback(
+    (id) => {
+      setWidgets((w) => {
+        const target = w.find((widget) => widget.id === id);
+        const isOnTop =
+          target?.z &&
+          w.filter(
+            (widget) =>
+              getWidgetDeskId(widget) === getWidgetDeskId(target) &&
+              widget.z >= target.z
+          ).length === 1;
+        if (!target || isOnTop) return w;
+        return normalizeWidgetStack(
+          w.map((widget) =>
+            widget.id === id ? { ...widget, z: getTopZ(w) + 1 } : widget
+          )
+        );
+      });
+    },
+    [setWidgets]
+  );
+
+  const sendWidgetToBack = useCallback(
+    (id) => {
+      setWidgets((w) =>
+        normalizeWidgetStack(
+          w.map((widget) =>
+            widget.id === id
+              ? { ...widget, z: Math.min(...w.map((item) => item.z ?? 0)) - 1 }
+              : widget
+          )
+        )
+      );
+    },
+    [setWidgets]
+  );
+
+  const arrangeWidgets = useCallback(
+    (positions) => {
+      setWidgets((w) =>
+        w.map((widget) =>
+          positions[widget.id]
+            ? { ...widget, position: positions[widget.id] }
+            : widget
+        )
+      );
+    },
+    [setWidgets]
+  );
+
+  const switchDesk = useCallback(
+    (id) => {
+      setActiveDeskId(id);
+    },
+    [setActiveDeskId]
+  );
+
+  const cycleDesk = useCallback(
+    (direction) => {
+      const index = desks.findIndex((desk) => desk.id === activeDeskId);
+      const next = (index + direction + desks.length) % desks.length;
+      setActiveDeskId(desks[next].id);
+    },
+    [desks, activeDeskId, setActiveDeskId]
+  );
+
+  const addDesk = useCallback(
+    (name) => {
+      const id = `desk-${Date.now()}`;
+      setDesks((d) => [
+        ...(d.length > 0 ? d : DEFAULT_DESKS),
+        { id, name: name.trim() || `Escritorio ${d.length + 1}` },
+      ]);
+      setActiveDeskId(id);
+    },
+    [setDesks, setActiveDeskId]
+  );
+
+  const renameDesk = useCallback(
+    (id, name) => {
+      if (!name.trim()) return;
+      setDesks((d) =>
+        (d.length > 0 ? d : DEFAULT_DESKS).map((desk) =>
+          desk.id === id ? { ...desk, name: name.trim() } : desk
+        )
+      );
+    },
+    [setDesks]
+  );
+
+  // Eliminar un escritorio elimina también sus widgets; siempre queda uno.
+  const removeDesk = useCallback(
+    (id) => {
+      if (desks.length <= 1) return;
+      setDesks(desks.filter((desk) => desk.id !== id));
+      setWidgets((w) => w.filter((widget) => getWidgetDeskId(widget) !== id));
+      if (id === activeDeskId) {
+        setActiveDeskId(desks.find((desk) => desk.id !== id).id);
+      }
+    },
+    [desks, activeDeskId, setDesks, setWidgets, setActiveDeskId]
+  );
+
+  const sendWidgetToDesk = useCallback(
+    (id, deskId, { copy = false } = {}) => {
+      setWidgets((w) => {
+        const widget = w.find((item) => item.id === id);
+        if (!widget) return w;
+        const target = {
+          ...widget,
+          id: copy ? `${widget.type}-${Date.now()}` : widget.id,
+          deskId,
+          position: findFreeSpot(
+            w.filter((item) => getWidgetDeskId(item) === deskId),
+            widget.size,
+            getDeskBounds()
+          ),
+          z: getTopZ(w) + 1,
+        };
+        return copy
+          ? [...w, target]
+          : w.map((item) => (item.id === id ? target : item));
+      });
+    },
+    [setWidgets]
+  );
+
+  const updateLayoutSettings = useCallback(
+    (settings) => {
+      setLayoutSettings((s) => ({ ...s, ...settings }));
+    },
+    [setLayoutSettings]
+  );
+
+  const updateWidgetSettings = useCallback(
+    (id, settings) => {
+      setWidgets((w) =>
+        w.map((widget) =>
+          widget.id === id
+            ? { ...widget, settings: { ...widget.settings, ...settings } }
+            : widget
+        )
+      );
+    },
+    [setWidgets]
+  );
+
+  const updateWidgetSize = useCallback(
+    (id, size, position) => {
+      setWidgets((w) =>
+        w.map((widget) =>
+          widget.id === id
+            ? { ...widget, size, position: position ?? widget.position }
+            : widget
+        )
+      );
+    },
+    [setWidgets]
+  );
+
+  const addNote = useCallback(
+    (content, collection = null) => {
+      const newNote = {
+        id: createRecordId(),
+        content,
+        timestamp: Date.now(),
+        ...(collection && { collection }),
+      };
+      setNotes((n) => [newNote, ...n]);
+    },
+    [setNotes]
+  );
+
+  const deleteNote = useCallback(
+    (id) => {
+      setNotes((n) => n.filter((note) => note.id !== id));
+    },
+    [setNotes]
+  );
+
+  const dismissStorageNotice = useCallback(() => {
+    setStorageReport(null);
+  }, []);
+
+  const dismissToast = useCallback((id) => {
+    setToasts((t) => t.filter((toast) => toast.id !== id));
+  }, []);
+
+  const showToast = useCallback(
+    (toast) => {
+      const id = ++toastIdRef.current;
+      setToasts((t) => [...t, { ...toast, id }]);
+      if (toast.duration) setTimeout(() => dismissToast(id), toast.duration);
+      return id;
+    },
+    [dismissToast]
+  );
+
+  // Un aviso por clave y minuto: cada cambio vuelve a intentar guardar.
+  const quotaWarnedAtRef = useRef({});
+  useEffect(
+    () =>
+      onStorageError((error, key) => {
+        const now = Date.now();
+        if (now - (quotaWarnedAtRef.current[key] ?? 0) < 60000) return;
+        quotaWarnedAtRef.current[key] = now;
+        const label = STORAGE_SCHEMAS[key]?.label ?? key;
+        showToast(
+          isQuotaExceeded(error)
+            ? {
+                title: "No queda espacio para guardar",
+                body: `Los cambios en «${label}» no se han guardado. Exporta una copia de seguridad y borra lo que no necesites.`,
+                variant: "error",
+                duration: 10000,
+              }
+            : {
+                title: "No se pudo guardar",
+                body: `${label}: ${error.message}`,
+                variant: "error",
+                duration: 8000,
+              }
+        );
+      }),
+    [showToast]
+  );
+
+  const addReminder = useCallback(
+    ({ text, date, time, recurrence = null, collection = null }) => {
+      const now = Date.now();
+      const timeZone = getLocalTimeZone();
+      const [hour, minute] = time.split(":").map(Number);
+      const startAt = date
+        ? zonedTimeToTimestamp(
+            { ...parseDateInput(date), hour, minute },
+            timeZone
+          )
+        : computeReminderDueAt(time, now);
+      const first = recurrence
+        ? getFirstOccurrence(recurrence, timeZone, startAt)
+        : null;
+
+      const newReminder = {
+        id: createRecordId(),
+        text,
+        time,
+        startAt,
+        dueAt: first ? first.dueAt : startAt,
+        occurrence: first ? first.occurrence : 1,
+        timeZone,
+        recurrence,
+        snoozedUntil: null,
+        firedAt: null,
+        completed: false,
+        ...(collection && { collection }),
+      };
+      setReminders((r) => [...r, newReminder]);
+    },
+    [setReminders]
+  );
+
+  const importReminders = useCallback(
+    (imported, collection = null) => {
+      const byUid = new Map(
+        reminders.map((reminder) => [getReminderUid(reminder), reminder])
+      );
+      const updated = imported.filter((reminder) => byUid.has(reminder.uid));
+
+      setReminders((r) => {
+        const merged = r.map((reminder) => {
+          const match = imported.find(
+            (item) => item.uid === getReminderUid(reminder)
+          );
+          return match ? { ...reminder, ...match, id: reminder.id } : reminder;
+        });
+        const added = imported
+          .filter((reminder) => !byUid.has(reminder.uid))
+          .map((reminder) => ({
+            ...reminder,
+            id: createRecordId(),
+            ...(collection && { collection }),
+          }));
+        return [...merged, ...added];
+      });
+
+      return {
+        added: imported.length - updated.length,
+        updated: updated.length,
+      };
+    },
+    [reminders, setReminders]
+  );
+
+  const snoozeReminder = useCallback(
+    (id, minutes) => {
+      setReminders((r) =>
+        r.map((reminder) =>
+          reminder.id === id
+            ? {
+                ...reminder,
+                snoozedUntil: Date.now() + minutes * MINUTE,
+                firedAt: null,
+              }
+            : reminder
+        )
+      );
+      setToasts((t) => t.filter((toast) => toast.reminderId !== id));
+    },
+    [setReminders]
+  );
+
+  const notifyReminder = useCallback(
+    (reminder) => {
+      if ("Notification" in window && Notification.permission === "granted") {
+        const notification = new Notification(reminder.text, {
+          body: `Recordatorio • ${formatClockTime(getReminderNextAt(reminder))}`,
+          tag: `betterdesk-reminder-${reminder.id}`,
+        });
+        notification.onclick = () => window.focus();
+      }
+      showToast({
+        title: reminder.text,
+        body: `Recordatorio • ${formatClockTime(getReminderNextAt(reminder))}`,
+        reminderId: reminder.id,
+      });
+    },
+    [showToast]
+  );
+
+  const notifyMissedReminders = useCallback(
+    (missed) => {
+      showToast({
+        title:
+          missed.length === 1
+            ? "1 recordatorio vencido"
+            : `${missed.length} recordatorios vencidos`,
+        body: missed.map((reminder) => reminder.text).join(", "),
+        duration: 10000,
+      });
+    },
+    [showToast]
+  );
+
+  useReminderScheduler(
+    reminders,
+    setReminders,
+    notifyReminder,
+    notifyMissedReminders,
+    isLeaderTab
+  );
+
+  const toggleReminder = useCallback(
+    (id) => {
+      const now = Date.now();
+      setReminders((r) =>
+        r.map((reminder) => {
+          if (reminder.id !== id) return reminder;
+          if (reminder.completed || !reminder.recurrence) {
+            return { ...reminder, completed: !reminder.completed };
+          }
+          // Al completar una repetición se avanza a la siguiente ocurrencia.
+          const next = getNextOccurrence(
+            reminder,
+            Math.max(getReminderDueAt(reminder), now)
+          );
+          return next
+            ? {
+                ...reminder,
+                dueAt: next.dueAt,
+                occurrence: next.occurrence,
+                snoozedUntil: null,
+                firedAt: null,
+                lastCompletedAt: now,
+              }
+            : { ...reminder, completed: true, lastCompletedAt: now };
+        })
+      );
+      setToasts((t) => t.filter((toast) => toast.reminderId !== id));
+    },
+    [setReminders]
+  );
+
+  const deleteReminder = useCallback(
+    (id) => {
+      setReminders((r) => r.filter((reminder) => reminder.id !== id));
+      setToasts((t) => t.filter((toast) => toast.reminderId !== id));
+    },
+    [setReminders]
+  );
+
+  const updatePomodoroSettings = useCallback(
+    (settings) => {
+      setPomodoroSettings((s) => ({ ...s, ...settings }));
+    },
+    [setPomodoroSettings]
+  );
+
+  const updateWeatherUnits = useCallback(
+    (units) => {
+      setWeatherUnits((u) => ({ ...u, ...units }));
+    },
+    [setWeatherUnits]
+  );
+
+  const value = useMemo(
+    () => ({
+      state: {
+        theme,
+        widgets,
+        desks,
+        activeDeskId,
+        layoutSettings,
+        notes,
+        reminders,
+        collections,
+        orphanedCollections,
+        pomodoroSettings,
+        pomodoroTimer,
+        pomodoroHistory,
+        weatherUnits,
+        toasts,
+        storageReport,
+      },
+      toggleTheme,
+      addWidget,
+      removeWidget,
+      setWidgetCollection,
+      addCollection,
+      toggleWidget,
+      updateWidgetPosition,
+      updateWidgetSize,
+      updateWidgetSettings,
+      focusWidget,
+      sendWidgetToBack,
+      arrangeWidgets,
+      switchDesk,
+      cycleDesk,
+      addDesk,
+      renameDesk,
+      removeDesk,
+      sendWidgetToDesk,
+      updateLayoutSettings,
+      addNote,
+      deleteNote,
+      addReminder,
+      toggleReminder,
+      deleteReminder,
+      importReminders,
+      snoozeReminder,
+      updatePomodoroSettings,
+      togglePomodoro,
+      resetPomodoro,
+      skipPomodoro,
+      setPomodoroTask,
+      updateWeatherUnits,
+      showToast,
+      dismissToast,
+      dismissStorageNotice,
+    }),
+    [
+      theme,
+      widgets,
+      desks,
+      activeDeskId,
+      layoutSettings,
+      notes,
+      reminders,
+      collections,
+      orphanedCollections,
+      pomodoroSettings,
+      pomodoroTimer,
+      pomodoroHistory,
+      weatherUnits,
+      toasts,
+      storageReport,
+      toggleTheme,
+      addWidget,
+      removeWidget,
+      setWidgetCollection,
+      addCollection,
+      toggleWidget,
+      updateWidgetPosition,
+      updateWidgetSize,
+      updateWidgetSettings,
+      focusWidget,
+      sendWidgetToBack,
+      arrangeWidgets,
+      switchDesk,
+      cycleDesk,
+      addDesk,
+      renameDesk,
+      removeDesk,
+      sendWidgetToDesk,
+      updateLayoutSettings,
+      addNote,
+      deleteNote,
+      addReminder,
+      toggleReminder,
+      deleteReminder,
+      importReminders,
+      snoozeReminder,
+      updatePomodoroSettings,
+      togglePomodoro,
+      resetPomodoro,
+      skipPomodoro,
+      setPomodoroTask,
+      updateWeatherUnits,
+      showToast,
+      dismissToast,
+      dismissStorageNotice,
+    ]
+  );
+
+  return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
+};
+
+// ==================== COMPONENTS ====================
+const RESIZE_EDGES = ["n", "s", "e", "w", "ne", "nw", "se", "sw"];
+
+// Pasos del teclado: con Mayús se avanza una celda de la cuadrícula.
+const KEYBOARD_STEP = 10;
+const KEYBOARD_ARROWS = {
+  ArrowLeft: { dx: -1, dy: 0 },
+  ArrowRight: { dx: 1, dy: 0 },
+  ArrowUp: { dx: 0, dy: -1 },
+  ArrowDown: { dx: 0, dy: 1 },
+};
+
+// ---------- Ajustes por widget ----------
+const validateSetting = (field, value) => {
+  switch (field.type) {
+    case "number": {
+      const number = Number(value);
+      if (value === "" || !Number.isFinite(number))
+        return "Introduce un número";
+      if (field.min != null && number < field.min) return `Mínimo ${field.min}`;
+      if (field.max != null && number > field.max) return `Máximo ${field.max}`;
+      return null;
+    }
+    case "list":
+      return value.length < (field.minItems ?? 0)
+        ? `Añade al menos ${field.minItems}`
+        : null;
+    case "location": {
+      const latitude = Number(value.latitude);
+      const longitude = Number(value.longitude);
+      if (value.latitude === "" || !(Math.abs(latitude) <= 90)) {
+        return "La latitud va de -90 a 90";
+      }
+      if (value.longitude === "" || !(Math.abs(longitude) <= 180)) {
+        return "La longitud va de -180 a 180";
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+};
+
+const formatCoordinates = ({ latitude, longitude }) =>
+  `${Number(latitude).toFixed(2)}, ${Number(longitude).toFixed(2)}`;
+
+const normalizeSetting = (field, value) => {
+  switch (field.type) {
+    case "number":
+      return Number(value);
+    case "string":
+      return value.trim();
+    case "location":
+      return {
+        ...value,
+        name: value.name.trim() || formatCoordinates(value),
+        latitude: Number(value.latitude),
+        longitude: Number(value.longitude),
+      };
+    default:
+      return value;
+  }
+};
+
+const ListSettingField = ({ id, field, value, onChange }) => {
+  const [item, setItem] = useState("");
+  const [error, setError] = useState(null);
+  const labelFor = (entry) =>
+    field.options?.find((option) => option.value === entry)?.label ?? entry;
+
+  const addItem = (entry) => {
+    const trimmed = entry.trim();
+    if (!trimmed || value.includes(trimmed)) return;
+    const problem = field.validate?.(trimmed);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onChange([...value, trimmed]);
+    setItem("");
+    setError(null);
+  };
+
+  return (
+    <>
+      <ul className="settings-list">
+        {value.map((entry) => (
+          <li key={entry}>
+            <span>{labelFor(entry)}</span>
+            <button
+              type="button"
+              onClick={() => onChange(value.filter((other) => other !== entry))}
+              aria-label={`Quitar ${labelFor(entry)}`}
+            >
+              <X size={12} />
+            </button>
+          </li>
+        ))}
+      </ul>
+      {field.options ? (
+        <select
+          id={id}
+          value=""
+          onChange={(e) => addItem(e.target.value)}
+          aria-label={`Añadir a ${field.label}`}
+        >
+          <option value="">Añadir…</option>
+          {field.options
+            .filter((option) => !value.includes(option.value))
+            .map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+        </select>
+      ) : (
+        <div className="settings-list-add">
+          <input
+            id={id}
+            type="text"
+            value={item}
+            list={field.suggestions ? `${id}-suggestions` : undefined}
+            onChange={(e) => setItem(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.preventDefault();
+                addItem(item);
+              }
+            }}
+            placeholder="Añadir…"
+            aria-label={`Añadir a ${field.label}`}
+          />
+          <button
+            type="button"
+            onClick={() => addItem(item)}
+            className="btn-icon"
+            aria-label="Añadir"
+          >
+            <Plus size={14} />
+          </button>
+          {field.suggestions && (
+            <datalist id={`${id}-suggestions`}>
+              {field.suggestions.map((suggestion) => (
+                <option key={suggestion} value={suggestion} />
+              ))}
+            </datalist>
+          )}
+        </div>
+      )}
+      {error && <span className="settings-error">{error}</span>}
+    </>
+  );
+};
+
+const LOCATION_MODES = [
+  { value: "search", label: "Buscar" },
+  { value: "geolocation", label: "Mi ubicación" },
+  { value: "manual", label: "Coordenadas" },
+];
+
+const GEOLOCATION_ERRORS = {
+  1: "No hay permiso para usar tu ubicación",
+  2: "No se pudo determinar tu ubicación",
+  3: "La ubicación tardó demasiado en llegar",
+};
+
+const getCurrentPosition = () =>
+  new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error("El navegador no permite obtener la ubicación"));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      resolve,
+      (error) =>
+        reject(new Error(GEOLOCATION_ERRORS[error.code] ?? error.message)),
+      { timeout: 10000, maximumAge: 600000 }
+    );
+  });
+
+// Dos decimales (~1 km) bastan para el clima y no guardan la posición exacta.
+const roundCoordinate = (value) => Math.round(value * 100) / 100;
+
+// `source` recuerda cómo se eligió la ubicación para volver a abrir los
+// ajustes en el mismo modo.
+const LocationSettingField = ({ id, value, onChange }) => {
+  const [mode, setMode] = useState(value.source ?? "search");
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // Solo cuenta la última petición: una nueva cancela la anterior.
+  const run = async (task) => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setBusy(true);
+    setError(null);
+    try {
+      await task(controller.signal);
+    } catch (err) {
+      if (!controller.signal.aborted) setError(err.message);
+    } finally {
+      if (abortRef.current === controller) setBusy(false);
+    }
+  };
+
+  const handleSearch = () => {
+    if (!query.trim()) return;
+    run(async (signal) => {
+      const places = await searchPlaces(query.trim(), { signal });
+      if (!signal.aborted) setResults(places);
+    });
+  };
+
+  const handleLocate = () =>
+    run(async (signal) => {
+      const { coords } = await getCurrentPosition();
+      const latitude = roundCoordinate(coords.latitude);
+      const longitude = roundCoordinate(coords.longitude);
+      // Sin nombre se muestran las coordenadas; no es motivo para fallar.
+      const place = await reverseGeocode(latitude, longitude, {
+        signal,
+      }).catch(() => null);
+      if (signal.aborted) return;
+      onChange({
+        name: place ? formatPlaceName(place) : "",
+        latitude,
+        longitude,
+        source: "geolocation",
+      });
+    });
+
+  const selectPlace = (place) => {
+    onChange({
+      name: formatPlaceName(place),
+      latitude: place.latitude,
+      longitude: place.longitude,
+      source: "search",
+    });
+    setResults(null);
+    setQuery("");
+  };
+
+  return (
+    <div className="settings-location">
+      <div className="settings-location-current">
+        <MapPin size={14} />
+        <span>{value.name || formatCoordinates(value)}</span>
+      </div>
+      <div className="settings-segmented" role="group" aria-label="Elegir por">
+        {LOCATION_MODES.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            aria-pressed={mode === option.value}
+            onClick={() => {
+              setMode(option.value);
+              setError(null);
+            }}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {mode === "search" && (
+        <>
+          <div className="settings-row">
+            <input
+              id={id}
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") {
+                  e.preventDefault();
+                  handleSearch();
+                }
+              }}
+              placeholder="Ciudad"
+              aria-label="Buscar ciudad"
+            />
+            <button
+              type="button"
+              onClick={handleSearch}
+              className="btn-icon"
+              aria-label="Buscar"
+              disabled={busy}
+            >
+              <Search size={14} />
+            </button>
+          </div>
+          {results && (
+            <ul className="settings-location-results">
+              {results.length === 0 && (
+                <li className="settings-location-empty">Sin resultados</li>
+              )}
+              {results.map((place) => (
+                <li key={`${place.latitude},${place.longitude}`}>
+                  <button type="button" onClick={() => selectPlace(place)}>
+                    <span>{place.name}</span>
+                    <span>
+                      {[place.region, place.country].filter(Boolean).join(", ")}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+      {mode === "geolocation" && (
+        <button
+          id={id}
+          type="button"
+          onClick={handleLocate}
+          className="btn-secondary"
+          disabled={busy}
+        >
+          <LocateFixed size={14} />
+          Usar mi ubicación actual
+        </button>
+      )}
+      {mode === "manual" && (
+        <>
+          <input
+            id={id}
+            type="text"
+            value={value.name}
+            onChange={(e) =>
+              onChange({ ...value, name: e.target.value, source: "manual" })
+            }
+            placeholder="Nombre del lugar"
+            aria-label="Nombre del lugar"
+          />
+          <div className="settings-row">
+            <input
+              type="number"
+              step="any"
+              value={value.latitude}
+              onChange={(e) =>
+                onChange({
+                  ...value,
+                  latitude: e.target.value,
+                  source: "manual",
+                })
+              }
+              placeholder="Latitud"
+              aria-label="Latitud"
+            />
+            <input
+              type="number"
+              step="any"
+              value={value.longitude}
+              onChange={(e) =>
+                onChange({
+                  ...value,
+                  longitude: e.target.value,
+                  source: "manual",
+                })
+              }
+              placeholder="Longitud"
+              aria-label="Longitud"
+            />
+          </div>
+        </>
+      )}
+      {busy && (
+        <span className="settings-hint" role="status">
+          {mode === "search" ? "Buscando…" : "Obteniendo ubicación…"}
+        </span>
+      )}
+      {error && (
+        <span className="settings-error" role="alert">
+          {error}
+        </span>
+      )}
+    </div>
+  );
+};
+
+const SettingField = ({ id, field, value, onChange }) => {
+  switch (field.type) {
+    case "number":
+      return (
+        <input
+          id={id}
+          type="number"
+          min={field.min}
+          max={field.max}
+          step={field.step}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      );
+    case "enum":
+      return (
+        <select
+          id={id}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+        >
+          {field.options.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      );
+    case "list":
+      return (
+        <ListSettingField
+          id={id}
+          field={field}
+          value={value}
+          onChange={onChange}
+        />
+      );
+    case "location":
+      return <LocationSettingField id={id} value={value} onChange={onChange} />;
+    default:
+      return (
+        <input
+          id={id}
+          type="text"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      );
+  }
+};
+
+const WidgetSettingsForm = ({ widget, schema, onClose }) => {
+  const { updateWidgetSettings } = useApp();
+  const [draft, setDraft] = useState(() =>
+    getWidgetSettings({ settings: schema }, widget.settings)
+  );
+  const [errors, setErrors] = useState({});
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const nextErrors = Object.fromEntries(
+      schema
+        .map((field) => [field.key, validateSetting(field, draft[field.key])])
+        .filter(([, error]) => error)
+    );
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    updateWidgetSettings(
+      widget.id,
+      Object.fromEntries(
+        schema.map((field) => [
+          field.key,
+          normalizeSetting(field, draft[field.key]),
+        ])
+      )
+    );
+    onClose();
+  };
+
+  return (
+    <form className="widget-settings" onSubmit={handleSubmit}>
+      {schema.map((field) => {
+        const id = `${widget.id}-setting-${field.key}`;
+        return (
+          <div key={field.key} className="settings-field">
+            <label htmlFor={id}>{field.label}</label>
+            <SettingField
+              id={id}
+              field={field}
+              value={draft[field.key]}
+              onChange={(value) =>
+                setDraft((d) => ({ ...d, [field.key]: value }))
+              }
+            />
+            {errors[field.key] && (
+              <span className="settings-error" role="alert">
+                {errors[field.key]}
+              </span>
+            )}
+          </div>
+        );
+      })}
+      <div className="settings-actions">
+        <button type="button" onClick={onClose} className="btn-secondary">
+          Cancelar
+        </button>
+        <button type="submit" className="btn-primary">
+          Guardar
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const Widget = memo(({ widget, headerActions, children }) => {
+  const {
+    state,
+    removeWidget,
+    toggleWidget,
+    updateWidgetPosition,
+    updateWidgetSize,
+    focusWidget,
+    sendWidgetToBack,
+    sendWidgetToDesk,
+  } = useApp();
+  const widgetRef = useRef(null);
+  const headerRef = useRef(null);
+  const cancelCloseRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+  const [resize, setResize] = useState(null);
+  const [confirmingClose, setConfirmingClose] = useState(false);
+  const [showDeskPicker, setShowDeskPicker] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const settingsSchema = getWidgetType(widget.type).settings;
+  const [announcement, setAnnouncement] = useState("");
+  const isDragging = Boolean(drag);
+  const helpId = `widget-help-${widget.id}`;
+
+  useEffect(() => {
+    if (confirmingClose) cancelCloseRef.current?.focus();
+  }, [confirmingClose]);
+
+  const isActive =
+    Boolean(widget.z) &&
+    widget.z === getTopZ(state.widgets) &&
+    state.widgets.length > 1;
+
+  const handleSendToBack = () => {
+    sendWidgetToBack(widget.id);
+    // El foco pasa al widget que queda arriba.
+    const nextTop = state.widgets
+      .filter((item) => item.id !== widget.id)
+      .sort((a, b) => (b.z ?? 0) - (a.z ?? 0))[0];
+    if (nextTop) {
+      document
+        .querySelector(`[data-widget-id="${nextTop.id}"]`)
+        ?.focus({ preventScroll: true });
+    }
+  };
+
+  // Ratón, táctil y lápiz comparten el mismo camino mediante Pointer Events;
+  // la captura del puntero mantiene el arrastre aunque salga del widget.
+  const isPrimaryPointer = (e) =>
+    e.isPrimary && (e.pointerType !== "mouse" || e.button === 0);
+
+  const handlePointerDown = (e) => {
+    focusWidget(widget.id);
+    if (
+      !isPrimaryPointer(e) ||
+      !e.target.closest(".widget-header") ||
+      e.target.closest("button, select, input")
+    ) {
+      return;
+    }
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({
+      pointerId: e.pointerId,
+      offsetX: e.clientX - widget.position.x,
+      offsetY: e.clientY - widget.position.y,
+    });
+  };
+
+  const handleResizeStart = (e, edge) => {
+    if (!isPrimaryPointer(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    focusWidget(widget.id);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setResize({
+      pointerId: e.pointerId,
+      edge,
+      startX: e.clientX,
+      startY: e.clientY,
+      size: widget.size,
+      position: widget.position,
+    });
+  };
+
+  const handleHeaderKeyDown = (e) => {
+    // Solo la cabecera en sí: los botones conservan su comportamiento.
+    if (e.target !== e.currentTarget) return;
+    const container = widgetRef.current.parentElement;
+    const arrow = KEYBOARD_ARROWS[e.key];
+
+    if (arrow && e.altKey) {
+      e.preventDefault();
+      if (!widget.isOpen) return;
+      const step = e.shiftKey ? GRID_SIZE : KEYBOARD_STEP;
+      const limits = getWidgetType(widget.type).sizeLimits;
+      const size = {
+        width: clamp(
+          widget.size.width + arrow.dx * step,
+          limits.minWidth,
+          Math.min(limits.maxWidth, container.clientWidth - widget.position.x)
+        ),
+        height: clamp(
+          widget.size.height + arrow.dy * step,
+          limits.minHeight,
+          Math.min(limits.maxHeight, container.clientHeight - widget.position.y)
+        ),
+      };
+      updateWidgetSize(widget.id, size);
+      setAnnouncement(
+        `${widget.title}: ${Math.round(size.width)} × ${Math.round(
+          size.height
+        )} píxeles`
+      );
+    } else if (arrow) {
+      e.preventDefault();
+      const step = e.shiftKey ? GRID_SIZE : KEYBOARD_STEP;
+      const element = widgetRef.current;
+      const position = {
+        x: clamp(
+          widget.position.x + arrow.dx * step,
+          0,
+          container.clientWidth - element.offsetWidth
+        ),
+        y: clamp(
+          widget.position.y + arrow.dy * step,
+          0,
+          container.clientHeight - element.offsetHeight
+        ),
+      };
+      updateWidgetPosition(widget.id, position);
+      setAnnouncement(
+        `${widget.title} movido a ${Math.round(position.x)}, ${Math.round(
+          position.y
+        )}`
+      );
+    } else if (e.key === "Escape") {
+      if (!widget.isOpen) return;
+      e.preventDefault();
+      toggleWidget(widget.id);
+      setAnnouncement(`${widget.title} minimizado`);
+    } else if (e.key === "Delete" || e.key === "Backspace") {
+      e.preventDefault();
+      setConfirmingClose(true);
+    }
+  };
+
+  const otherDesks = state.desks.filter(
+    (desk) => desk.id !== state.activeDeskId
+  );
+
+  const handleSendToDesk = (desk, copy) => {
+    sendWidgetToDesk(widget.id, desk.id, { copy });
+    setShowDeskPicker(false);
+    setAnnouncement(
+      `${widget.title} ${copy ? "copiado" : "movido"} a ${desk.name}`
+    );
+  };
+
+  const cancelClose = () => {
+    setConfirmingClose(false);
+    headerRef.current?.focus();
+  };
+
+  useEffect(() => {
+    if (!drag) return;
+
+    const element = widgetRef.current;
+    const container = element.parentElement;
+    const others = [...container.querySelectorAll(".widget")]
+      .filter((other) => other !== element)
+      .map((other) => ({
+        x: other.offsetLeft,
+        y: other.offsetTop,
+        width: other.offsetWidth,
+        height: other.offsetHeight,
+      }));
+
+    const handlePointerMove = (e) => {
+      if (e.pointerId !== drag.pointerId) return;
+      e.preventDefault();
+      const bounds = {
+        width: container.clientWidth,
+        height: container.clientHeight,
+      };
+      const rect = {
+        x: clamp(
+          e.clientX - drag.offsetX,
+          0,
+          bounds.width - element.offsetWidth
+        ),
+        y: clamp(
+          e.clientY - drag.offsetY,
+          0,
+          bounds.height - element.offsetHeight
+        ),
+        width: element.offsetWidth,
+        height: element.offsetHeight,
+      };
+      updateWidgetPosition(
+        widget.id,
+        snapWidgetPosition(rect, others, bounds, state.layoutSettings)
+      );
+    };
+
+    const handlePointerUp = (e) => {
+      if (e.pointerId === drag.pointerId) setDrag(null);
+    };
+
+    element.addEventListener("pointermove", handlePointerMove);
+    element.addEventListener("pointerup", handlePointerUp);
+    element.addEventListener("pointercancel", handlePointerUp);
+
+    return () => {
+      element.removeEventListener("pointermove", handlePointerMove);
+      element.removeEventListener("pointerup", handlePointerUp);
+      element.removeEventListener("pointercancel", handlePointerUp);
+    };
+  }, [drag, widget.id, state.layoutSettings, updateWidgetPosition]);
+
+  useEffect(() => {
+    if (!resize) return;
+
+    const limits = getWidgetType(widget.type).sizeLimits;
+
+    // Al tirar de los bordes norte u oeste el widget crece hacia arriba o a la
+    // izquierda, así que la posición se mueve lo mismo que cambia el tamaño.
+    const element = widgetRef.current;
+
+    const handlePointerMove = (e) => {
+      if (e.pointerId !== resize.pointerId) return;
+      e.preventDefault();
+      const container = element.parentElement;
+      const { edge, size, position } = resize;
+      const dx = e.clientX - resize.startX;
+      const dy = e.clientY - resize.startY;
+
+      let { width, height } = size;
+      let { x, y } = position;
+      if (edge.includes("e")) {
+        width = clamp(
+          size.width + dx,
+          limits.minWidth,
+          Math.min(limits.maxWidth, container.clientWidth - position.x)
+        );
+      } else if (edge.includes("w")) {
+        width = clamp(
+          size.width - dx,
+          limits.minWidth,
+          Math.min(limits.maxWidth, position.x + size.width)
+        );
+        x = position.x + size.width - width;
+      }
+      if (edge.includes("s")) {
+        height = clamp(
+          size.height + dy,
+          limits.minHeight,
+          Math.min(limits.maxHeight, container.clientHeight - position.y)
+        );
+      } else if (edge.includes("n")) {
+        height = clamp(
+          size.height - dy,
+          limits.minHeight,
+          Math.min(limits.maxHeight, position.y + size.height)
+        );
+        y = position.y + size.height - height;
+      }
+
+      updateWidgetSize(widget.id, { width, height }, { x, y });
+    };
+
+    const handlePointerUp = (e) => {
+      if (e.pointerId === resize.pointerId) setResize(null);
+    };
+
+    element.addEventListener("pointermove", handlePointerMove);
+    element.addEventListener("pointerup", handlePointerUp);
+    element.addEventListener("pointercancel", handlePointerUp);
+
+    return () => {
+      element.removeEventListener("pointermove", handlePointerMove);
+      element.removeEventListener("pointerup", handlePointerUp);
+      element.removeEventListener("pointercancel", handlePointerUp);
+    };
+  }, [resize, widget.id, widget.type, updateWidgetSize]);
+
+  return (
+    <div
+      ref={widgetRef}
+      data-widget-id={widget.id}
+      tabIndex={-1}
+      role="region"
+      aria-label={widget.title}
+      className={`widget ${widget.isOpen ? "widget-open" : "widget-closed"} ${
+        isDragging ? "dragging" : ""
+      } ${resize ? "resizing" : ""} ${isActive ? "active" : ""}`}
+      style={{
+        zIndex: 10 + (widget.z ?? 0),
+        left: `${widget.position.x}px`,
+        top: `${widget.position.y}px`,
+        width: widget.isOpen ? `${widget.size.width}px` : "auto",
+        height: widget.isOpen ? `${widget.size.height}px` : "auto",
+      }}
+      onPointerDown={handlePointerDown}
+      onFocus={() => focusWidget(widget.id)}
+    >
+      <div
+        ref={headerRef}
+        className="widget-header"
+        tabIndex={0}
+        aria-label={widget.title}
+        aria-roledescription="widget movible"
+        aria-describedby={helpId}
+        aria-keyshortcuts="ArrowUp ArrowDown ArrowLeft ArrowRight Alt+ArrowUp Alt+ArrowDown Alt+ArrowLeft Alt+ArrowRight Escape Delete"
+        onKeyDown={handleHeaderKeyDown}
+      >
+        <h3>{widget.title}</h3>
+        {!confirmingClose && headerActions}
+        {confirmingClose ? (
+          <div
+            className="widget-confirm"
+            role="alertdialog"
+            aria-label={`¿Cerrar ${widget.title}?`}
+            onKeyDown={(e) => {
+              if (e.key === "Escape") {
+                e.stopPropagation();
+                cancelClose();
+              }
+            }}
+          >
+            <span>¿Cerrar?</span>
+            <button
+              className="widget-confirm-yes"
+              onClick={() => removeWidget(widget.id)}
+            >
+              Cerrar
+            </button>
+            <button ref={cancelCloseRef} onClick={cancelClose}>
+              Cancelar
+            </button>
+          </div>
+        ) : (
+          <div className="widget-controls">
+            <button
+              onClick={() => focusWidget(widget.id)}
+              aria-label="Traer al frente"
+              title="Traer al frente"
+            >
+              <BringToFront size={16} />
+            </button>
+            <button
+              onClick={handleSendToBack}
+              aria-label="Enviar al fondo"
+              title="Enviar al fondo"
+            >
+              <SendToBack size={16} />
+            </button>
+            {settingsSchema.length > 0 && (
+              <button
+                onClick={() => {
+                  if (!widget.isOpen) toggleWidget(widget.id);
+                  setShowSettings((open) => !open || !widget.isOpen);
+                }}
+                className={showSettings && widget.isOpen ? "active" : ""}
+                aria-label="Ajustes del widget"
+                aria-expanded={showSettings && widget.isOpen}
+                title="Ajustes del widget"
+              >
+                <Settings size={16} />
+              </button>
+            )}
+            {otherDesks.length > 0 && (
+              <button
+                onClick={() => setShowDeskPicker((open) => !open)}
+                className={showDeskPicker ? "active" : ""}
+                aria-label="Mover o copiar a otro escritorio"
+                aria-expanded={showDeskPicker}
+                title="Mover o copiar a otro escritorio"
+              >
+                <Layers size={16} />
+              </button>
+            )}
+            <button
+              onClick={() => toggleWidget(widget.id)}
+              aria-label="Minimizar"
+            >
+              {widget.isOpen ? (
+                <ChevronUp size={16} />
+              ) : (
+                <ChevronDown size={16} />
+              )}
+            </button>
+            <button
+              onClick={() => setConfirmingClose(true)}
+              aria-label="Cerrar"
+            >
+              <X size={16} />
+            </button>
+          </div>
+        )}
+      </div>
+      {showDeskPicker && otherDesks.length > 0 && (
+        <div
+          className="widget-desk-picker"
+          onKeyDown={(e) => {
+            if (e.key === "Escape") {
+              e.stopPropagation();
+              setShowDeskPicker(false);
+              headerRef.current?.focus();
+            }
+          }}
+        >
+          {otherDesks.map((desk) => (
+            <div key={desk.id} className="widget-desk-option">
+              <span>{desk.name}</span>
+              <button onClick={() => handleSendToDesk(desk, false)}>
+                Mover
+              </button>
+              <button onClick={() => handleSendToDesk(desk, true)}>
+                Copiar
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      <p id={helpId} className="sr-only">
+        Flechas para mover, con Mayús en pasos grandes. Alt y flechas para
+        cambiar el tamaño. Escape para minimizar y Suprimir para cerrar.
+      </p>
+      <div className="sr-only" role="status" aria-live="polite">
+        {announcement}
+      </div>
+      {widget.isOpen && (
+        <div className="widget-content">
+          {showSettings ? (
+            <WidgetSettingsForm
+              widget={widget}
+              schema={settingsSchema}
+              onClose={() => setShowSettings(false)}
+            />
+          ) : (
+            children
+          )}
+        </div>
+      )}
+      {widget.isOpen &&
+        RESIZE_EDGES.map((edge) => (
+          <div
+            key={edge}
+            className={`resize-handle resize-${edge}`}
+            onPointerDown={(e) => handleResizeStart(e, edge)}
+          />
+        ))}
+    </div>
+  );
+});
+
+// Une la definición registrada de un tipo con la instancia guardada.
+const WidgetHost = memo(({ widget }) => {
+  const definition = getWidgetType(widget.type);
+  const settings = useMemo(
+    () => definition && getWidgetSettings(definition, widget.settings),
+    [definition, widget.settings]
+  );
+  if (!definition) return null;
+
+  const { component: Content, headerActions: HeaderActions } = definition;
+  return (
+    <Widget
+      widget={widget}
+      headerActions={HeaderActions && <HeaderActions widget={widget} />}
+    >
+      <Content widget={widget} settings={settings} />
+    </Widget>
+  );
+});
+
+const formatFocusTime = (minutes) => {
+  const rounded = Math.round(minutes);
+  if (rounded < 60) return `${rounded} min`;
+  return `${Math.floor(rounded / 60)} h ${rounded % 60} min`;
+};
+
+const HEATMAP_WEEKS = 17;
+
+const PomodoroStats = memo(({ history }) => {
+  const [range, setRange] = useState("days");
+  const stats = useMemo(() => summarizePomodoroHistory(history), [history]);
+  const tasks = useMemo(() => summarizePomodoroTasks(history), [history]);
+  const maxTask = Math.max(1, ...tasks.map((task) => task.minutes));
+
+  const bars =
+    range === "days"
+      ? stats.days.map((day) => ({
+          key: day.dayNumber,
+          label: new Date(day.dayNumber * DAY).toLocaleDateString("es-ES", {
+            weekday: "short",
+            timeZone: "UTC",
+          }),
+          minutes: day.minutes,
+        }))
+      : stats.weeks.map((week) => ({
+          key: week.start,
+          label: new Date(week.start * DAY).toLocaleDateString("es-ES", {
+            day: "numeric",
+            month: "short",
+            timeZone: "UTC",
+          }),
+          minutes: week.minutes,
+        }));
+  const maxBar = Math.max(1, ...bars.map((bar) => bar.minutes));
+
+  const heatmapStart =
+    getWeekStart(stats.todayNumber) - (HEATMAP_WEEKS - 1) * 7;
+  const maxDay = Math.max(
+    1,
+    ...[...stats.byDay.values()].map((day) => day.minutes)
+  );
+
+  const handleExport = () => {
+    downloadFile(
+      "betterdesk-pomodoro.csv",
+      pomodoroHistoryToCsv(history),
+      "text/csv;charset=utf-8"
+    );
+  };
+
+  return (
+    <div className="pomodoro-stats">
+      <div className="stats-cards">
+        <div className="stats-card">
+          <span className="stats-value">
+            {formatFocusTime(stats.today.minutes)}
+          </span>
+          <span className="stats-label">Hoy</span>
+        </div>
+        <div className="stats-card">
+          <span className="stats-value">{formatFocusTime(stats.thisWeek)}</span>
+          <span className="stats-label">Esta semana</span>
+        </div>
+        <div className="stats-card">
+          <span className="stats-value">
+            {stats.streak} {stats.streak === 1 ? "día" : "días"}
+          </span>
+          <span className="stats-label">Racha</span>
+        </div>
+        <div className="stats-card">
+          <span className="stats-value">{stats.averagePerDay.toFixed(1)}</span>
+          <span className="stats-label">Sesiones / día</span>
+        </div>
+      </div>
+
+      <div className="stats-section">
+        <div className="stats-section-header">
+          <h4>Tiempo de enfoque</h4>
+          <div className="stats-range">
+            <button
+              onClick={() => setRange("days")}
+              className={range === "days" ? "active" : ""}
+            >
+              Días
+            </button>
+            <button
+              onClick={() => setRange("weeks")}
+              className={range === "weeks" ? "active" : ""}
+            >
+              Semanas
+            </button>
+          </div>
+        </div>
+        <div className="stats-bars">
+          {bars.map((bar) => (
+            <div
+              key={bar.key}
+              className="stats-bar"
+              title={formatFocusTime(bar.minutes)}
+            >
+              <div
+                className="stats-bar-fill"
+                style={{ height: `${(bar.minutes / maxBar) * 100}%` }}
+              />
+              <span>{bar.label}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="stats-section">
+        <h4>Últimas {HEATMAP_WEEKS} semanas</h4>
+        <div className="stats-heatmap">
+          {Array.from({ length: HEATMAP_WEEKS * 7 }, (_, i) => {
+            const dayNumber = heatmapStart + i;
+            const key = formatDateInput(fromDayNumber(dayNumber));
+            const minutes = stats.byDay.get(key)?.minutes || 0;
+            const level = minutes
+              ? Math.min(4, Math.ceil((minutes / maxDay) * 4))
+              : 0;
+            return (
+              <span
+                key={key}
+                className={`heatmap-cell level-${level} ${
+                  dayNumber > stats.todayNumber ? "future" : ""
+                }`}
+                title={`${key}: ${formatFocusTime(minutes)}`}
+              />
+            );
+          })}
+        </div>
+      </div>
+
+      {tasks.length > 0 && (
+        <div className="stats-section">
+          <h4>Por tarea</h4>
+          <div className="stats-tasks">
+            {tasks.map((task) => (
+              <div key={task.key} className="stats-task">
+                <div className="stats-task-info">
+                  <span className="stats-task-label">{task.label}</span>
+                  <span className="stats-label">
+                    {formatFocusTime(task.minutes)} · {task.sessions} 🍅
+                  </span>
+                </div>
+                <div className="stats-task-bar">
+                  <div
+                    style={{ width: `${(task.minutes / maxTask) * 100}%` }}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <button
+        onClick={handleExport}
+        className="btn-secondary"
+        disabled={history.length === 0}
+      >
+        <Download size={18} /> Exportar CSV
+      </button>
+    </div>
+  );
+});
+
+const PomodoroWidget = memo(() => {
+  const {
+    state,
+    updatePomodoroSettings,
+    togglePomodoro,
+    resetPomodoro,
+    skipPomodoro,
+    setPomodoroTask,
+  } = useApp();
+  const { pomodoroTimer, pomodoroSettings, pomodoroHistory } = state;
+  const task = pomodoroTimer.task;
+  const [showStats, setShowStats] = useState(false);
+  const todaySessions = useMemo(() => {
+    const today = getDayKey(Date.now());
+    return pomodoroHistory.filter(
+      (session) =>
+        session.phase === "work" &&
+        session.completed &&
+        getDayKey(session.startedAt) === today
+    ).length;
+  }, [pomodoroHistory]);
+  const timeLeft = usePomodoroCountdown(pomodoroTimer, pomodoroSettings);
+  const isActive = Boolean(pomodoroTimer.endsAt);
+  const isBreak = pomodoroTimer.phase !== "work";
+  const cycle = Math.min(
+    pomodoroTimer.cycle ?? 0,
+    pomodoroSettings.cyclesPerSet
+  );
+
+  const minutes = Math.floor(timeLeft / 60);
+  const seconds = timeLeft % 60;
+
+  const handleTaskChange = (value) => {
+    if (!value) return setPomodoroTask(null);
+    if (value === "free") return setPomodoroTask({ type: "free", label: "" });
+    const [type, id] = value.split(":");
+    if (type === "reminder") {
+      const reminder = state.reminders.find((r) => r.id === id);
+      setPomodoroTask({ type, id, label: reminder.text });
+    } else {
+      const note = state.notes.find((n) => n.id === id);
+      setPomodoroTask({ type, id, label: getNoteTitle(note) });
+    }
+  };
+
+  return (
+    <div className="pomodoro-widget">
+      <div className="pomodoro-task">
+        <select
+          value={
+            task
+              ? task.type === "free"
+                ? "free"
+                : `${task.type}:${task.id}`
+              : ""
+          }
+          onChange={(e) => handleTaskChange(e.target.value)}
+          aria-label="Tarea en la que trabajas"
+        >
+          <option value="">Sin tarea</option>
+          {task?.id &&
+            !state.reminders.some((r) => r.id === task.id) &&
+            !state.notes.some((n) => n.id === task.id) && (
+              <option value={`${task.type}:${task.id}`}>{task.label}</option>
+            )}
+          {state.reminders.some((r) => !r.completed) && (
+            <optgroup label="Recordatorios">
+              {state.reminders
+                .filter((reminder) => !reminder.completed)
+                .map((reminder) => (
+                  <option key={reminder.id} value={`reminder:${reminder.id}`}>
+                    {reminder.text}
+                  </option>
+                ))}
+            </optgroup>
+          )}
+          {state.notes.length > 0 && (
+            <optgroup label="Notas">
+              {state.notes.map((note) => (
+                <option key={note.id} value={`note:${note.id}`}>
+                  {getNoteTitle(note)}
+                </option>
+              ))}
+            </optgroup>
+          )}
+          <option value="free">Otra tarea...</option>
+        </select>
+        {task?.type === "free" && (
+          <input
+            type="text"
+            value={task.label}
+            onChange={(e) =>
+              setPomodoroTask({ type: "free", label: e.target.value })
+            }
+            placeholder="¿En qué vas a trabajar?"
+          />
+        )}
+      </div>
+      <div className="pomodoro-display">
+        <div
+          className={`pomodoro-timer ${isActive ? "active" : ""} ${
+            isBreak ? "break" : "work"
+          }`}
+        >
+          <span className="time">
+            {String(minutes).padStart(2, "0")}:
+            {String(seconds).padStart(2, "0")}
+          </span>
+          <span className="label">
+            {POMODORO_PHASES[pomodoroTimer.phase].label}
+          </span>
+        </div>
+        <div
+          className="pomodoro-cycle"
+          aria-label={`${cycle} de ${pomodoroSettings.cyclesPerSet} sesiones antes del descanso largo`}
+        >
+          {Array.from({ length: pomodoroSettings.cyclesPerSet }, (_, i) => (
+            <span key={i} className={i < cycle ? "done" : ""} />
+          ))}
+        </div>
+        <div className="sessions">Sesiones hoy: {todaySessions}</div>
+      </div>
+      <div className="pomodoro-controls">
+        <button onClick={togglePomodoro} className="btn-primary">
+          {isActive ? <Pause size={20} /> : <Play size={20} />}
+          {isActive ? "Pausar" : "Iniciar"}
+        </button>
+        <button onClick={resetPomodoro} className="btn-secondary">
+          <RotateCcw size={20} /> Reiniciar
+        </button>
+        <button
+          onClick={skipPomodoro}
+          className="btn-secondary"
+          aria-label="Saltar fase"
+        >
+          <SkipForward size={20} />
+        </button>
+        <button
+          onClick={() => setShowStats((v) => !v)}
+          className={`btn-secondary ${showStats ? "active" : ""}`}
+          aria-label="Estadísticas"
+          aria-pressed={showStats}
+        >
+          <BarChart3 size={20} />
+        </button>
+      </div>
+      {showStats && <PomodoroStats history={pomodoroHistory} />}
+      <div className="pomodoro-settings">
+        <label>
+          Trabajo (min):
+          <input
+            type="number"
+            min="1"
+            max="60"
+            value={pomodoroSettings.workDuration}
+            onChange={(e) =>
+              updatePomodoroSettings({
+                workDuration: parseInt(e.target.value) || 25,
+              })
+            }
+          />
+        </label>
+        <label>
+          Descanso (min):
+          <input
+            type="number"
+            min="1"
+            max="30"
+            value={pomodoroSettings.breakDuration}
+            onChange={(e) =>
+              updatePomodoroSettings({
+                breakDuration: parseInt(e.target.value) || 5,
+              })
+            }
+          />
+        </label>
+        <label>
+          Descanso largo (min):
+          <input
+            type="number"
+            min="1"
+            max="60"
+            value={pomodoroSettings.longBreakDuration}
+            onChange={(e) =>
+              updatePomodoroSettings({
+                longBreakDuration: parseInt(e.target.value) || 15,
+              })
+            }
+          />
+        </label>
+        <label>
+          Sesiones por serie:
+          <input
+            type="number"
+            min="1"
+            max="12"
+            value={pomodoroSettings.cyclesPerSet}
+            onChange={(e) =>
+              updatePomodoroSettings({
+                cyclesPerSet: parseInt(e.target.value) || 4,
+              })
+            }
+          />
+        </label>
+        <label className="checkbox">
+          <input
+            type="checkbox"
+            checked={pomodoroSettings.autoStart}
+            onChange={(e) =>
+              updatePomodoroSettings({ autoStart: e.target.checked })
+            }
+          />
+          Iniciar la siguiente fase automáticamente
+        </label>
+        <label className="checkbox">
+          <input
+            type="checkbox"
+            checked={pomodoroSettings.soundEnabled}
+            onChange={(e) =>
+              updatePomodoroSettings({ soundEnabled: e.target.checked })
+            }
+          />
+          Sonido
+        </label>
+      </div>
+    </div>
+  );
+});
+
+// ---------- Códigos WMO ----------
+// Códigos de tiempo WMO 4677 que usa Open-Meteo. `night` es el icono cuando
+// `is_day` vale 0 (si falta, se usa el de día). `particles` elige el efecto
+// de WeatherParticles e `intensity` (1 a 3) su cantidad; `lightning` añade
+// relámpagos.
+const WEATHER_CODES = {
+  0: { description: "Despejado", day: "☀️", night: "🌙" },
+  1: { description: "Mayormente despejado", day: "🌤️", night: "🌙" },
+  2: { description: "Parcialmente nublado", day: "⛅", night: "☁️" },
+  3: { description: "Nublado", day: "☁️" },
+  45: { description: "Niebla", day: "🌫️", particles: "fog", intensity: 2 },
+  48: {
+    description: "Niebla con escarcha",
+    day: "🌫️",
+    particles: "fog",
+    intensity: 3,
+  },
+  51: {
+    description: "Llovizna ligera",
+    day: "🌦️",
+    night: "🌧️",
+    particles: "drizzle",
+    intensity: 1,
+  },
+  53: {
+    description: "Llovizna moderada",
+    day: "🌦️",
+    night: "🌧️",
+    particles: "drizzle",
+    intensity: 2,
+  },
+  55: {
+    description: "Llovizna densa",
+    day: "🌧️",
+    particles: "drizzle",
+    intensity: 3,
+  },
+  56: {
+    description: "Llovizna helada ligera",
+    day: "🌧️",
+    particles: "drizzle",
+    intensity: 1,
+  },
+  57: {
+    description: "Llovizna helada densa",
+    day: "🌧️",
+    particles: "drizzle",
+    intensity: 3,
+  },
+  61: {
+    description: "Lluvia ligera",
+    day: "🌦️",
+    night: "🌧️",
+    particles: "rain",
+    intensity: 1,
+  },
+  63: {
+    description: "Lluvia moderada",
+    day: "🌧️",
+    particles: "rain",
+    intensity: 2,
+  },
+  65: {
+    description: "Lluvia intensa",
+    day: "🌧️",
+    particles: "rain",
+    intensity: 3,
+  },
+  66: {
+    description: "Lluvia helada ligera",
+    day: "🌧️",
+    particles: "rain",
+    intensity: 1,
+  },
+  67: {
+    description: "Lluvia helada intensa",
+    day: "🌧️",
+    particles: "rain",
+    intensity: 3,
+  },
+  71: {
+    description: "Nevada ligera",
+    day: "🌨️",
+    particles: "snow",
+    intensity: 1,
+  },
+  73: {
+    description: "Nevada moderada",
+    day: "🌨️",
+    particles: "snow",
+    intensity: 2,
+  },
+  75: {
+    description: "Nevada intensa",
+    day: "❄️",
+    particles: "snow",
+    intensity: 3,
+  },
+  77: {
+    description: "Granos de nieve",
+    day: "🌨️",
+    particles: "snow",
+    intensity: 1,
+  },
+  80: {
+    description: "Chubascos ligeros",
+    day: "🌦️",
+    night: "🌧️",
+    particles: "rain",
+    intensity: 1,
+  },
+  81: {
+    description: "Chubascos moderados",
+    day: "🌦️",
+    night: "🌧️",
+    particles: "rain",
+    intensity: 2,
+  },
+  82: {
+    description: "Chubascos violentos",
+    day: "🌧️",
+    particles: "rain",
+    intensity: 3,
+  },
+  85: {
+    description: "Chubascos de nieve ligeros",
+    day: "🌨️",
+    particles: "snow",
+    intensity: 1,
+  },
+  86: {
+    description: "Chubascos de nieve intensos",
+    day: "🌨️",
+    particles: "snow",
+    intensity: 3,
+  },
+  95: {
+    description: "Tormenta",
+    day: "⛈️",
+    particles: "rain",
+    intensity: 2,
+    lightning: true,
+  },
+  96: {
+    description: "Tormenta con granizo ligero",
+    day: "⛈️",
+    particles: "hail",
+    intensity: 1,
+    lightning: true,
+  },
+  99: {
+    description: "Tormenta con granizo fuerte",
+    day: "⛈️",
+    particles: "hail",
+    intensity: 3,
+    lightning: true,
+  },
+};
+
+const UNKNOWN_WEATHER = { description: "Sin datos", day: "🌡️" };
+
+const getWeatherInfo = (code) => WEATHER_CODES[code] ?? UNKNOWN_WEATHER;
+
+// `isDay` es el `is_day` de Open-Meteo: 1 de día y 0 de noche.
+const getWeatherIcon = (code, isDay = 1) => {
+  const info = getWeatherInfo(code);
+  return isDay === 0 ? (info.night ?? info.day) : info.day;
+};
+
+const UV_LEVELS = [
+  { max: 3, label: "bajo" },
+  { max: 6, label: "moderado" },
+  { max: 8, label: "alto" },
+  { max: 11, label: "muy alto" },
+  { max: Infinity, label: "extremo" },
+];
+
+// Sin índice (no todos los proveedores lo dan) devuelve undefined.
+const getUvLevel = (uv) => UV_LEVELS.find((level) => uv < level.max)?.label;
+
+const WeatherDetails = ({ current, units }) => (
+  <dl className="weather-details">
+    <div>
+      <dt>Sensación</dt>
+      <dd>{Math.round(current.apparent_temperature)}°</dd>
+    </div>
+    <div>
+      <dt>Humedad</dt>
+      <dd>{Math.round(current.relative_humidity_2m)}%</dd>
+    </div>
+    <div>
+      <dt>Viento</dt>
+      <dd>{formatWindSpeed(current.wind_speed_10m, units.windSpeed)}</dd>
+    </div>
+    {isFiniteNumber(current.uv_index) && (
+      <div>
+        <dt>UV</dt>
+        <dd title={`Índice UV ${getUvLevel(current.uv_index)}`}>
+          {Math.round(current.uv_index)}
+        </dd>
+      </div>
+    )}
+  </dl>
+);
+
+const SPARKLINE_WIDTH = 240;
+const SPARKLINE_HEIGHT = 64;
+const SPARKLINE_PADDING = 6;
+
+// Temperatura como línea y probabilidad de lluvia como barras, sobre el
+// mismo eje de horas.
+const WeatherSparkline = ({ hours }) => {
+  const temperatures = hours.map((hour) => hour.temperature);
+  const max = Math.max(...temperatures);
+  const min = Math.min(...temperatures);
+  const step = SPARKLINE_WIDTH / Math.max(1, hours.length - 1);
+  const barWidth = Math.max(1, step - 2);
+  const points = temperatures
+    .map((temperature, i) => {
+      const y =
+        SPARKLINE_PADDING +
+        ((max - temperature) / (max - min || 1)) *
+          (SPARKLINE_HEIGHT - SPARKLINE_PADDING * 2);
+      return `${(i * step).toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+  const maxPrecipitation = Math.max(...hours.map((hour) => hour.precipitation));
+
+  return (
+    <div className="weather-sparkline">
+      <svg
+        viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+        role="img"
+        aria-label={`Próximas ${hours.length} horas: entre ${Math.round(min)}° y ${Math.round(max)}°, lluvia hasta ${maxPrecipitation}%`}
+      >
+        {hours.map((hour, i) => {
+          const height = (hour.precipitation / 100) * SPARKLINE_HEIGHT;
+          return (
+            <rect
+              key={hour.time}
+              className="sparkline-precipitation"
+              x={Math.min(
+                SPARKLINE_WIDTH - barWidth,
+                Math.max(0, i * step - barWidth / 2)
+              )}
+              y={SPARKLINE_HEIGHT - height}
+              width={barWidth}
+              height={height}
+            />
+          );
+        })}
+        <polyline className="sparkline-temperature" points={points} />
+      </svg>
+      <div className="sparkline-hours">
+        {hours
+          .filter((_, i) => i % 6 === 0)
+          .map((hour, i) => (
+            <span
+              key={hour.time}
+              style={{
+                left: `${((i * 6) / Math.max(1, hours.length - 1)) * 100}%`,
+              }}
+            >
+              {i === 0 ? "Ahora" : hour.time.slice(11, 16)}
+            </span>
+          ))}
+      </div>
+      <div className="sparkline-legend">
+        <span>
+          {Math.round(min)}° – {Math.round(max)}°
+        </span>
+        <span>Lluvia hasta {maxPrecipitation}%</span>
+      </div>
+    </div>
+  );
+};
+
+const formatForecastDay = (date, index) =>
+  index === 0
+    ? "Hoy"
+    : new Date(`${date}T12:00:00Z`).toLocaleDateString("es-ES", {
+        weekday: "short",
+        timeZone: "UTC",
+      });
+
+const WeatherForecast = ({ weather, units }) => {
+  const hours = useMemo(() => getHourlyForecast(weather), [weather]);
+  const days = useMemo(() => getDailyForecast(weather), [weather]);
+
+  return (
+    <div className="weather-forecast">
+      {hours.length > 1 && (
+        <section className="stats-section">
+          <h4>Próximas {hours.length} horas</h4>
+          <WeatherSparkline hours={hours} />
+        </section>
+      )}
+      {days.length > 0 && (
+        <section className="stats-section">
+          <h4>{days.length} días</h4>
+          <ol className="forecast-days">
+            {days.map((day, i) => (
+              <li key={day.date}>
+                <span className="forecast-day">
+                  {formatForecastDay(day.date, i)}
+                </span>
+                <span
+                  className="forecast-icon"
+                  role="img"
+                  aria-label={getWeatherInfo(day.code).description}
+                  title={getWeatherInfo(day.code).description}
+                >
+                  {getWeatherIcon(day.code)}
+                </span>
+                <span className="forecast-max">{Math.round(day.max)}°</span>
+                <span className="forecast-min">{Math.round(day.min)}°</span>
+                {day.precipitation > 0 && (
+                  <span
+                    className="forecast-precipitation"
+                    title={formatPrecipitation(
+                      day.precipitationSum,
+                      units.precipitation
+                    )}
+                  >
+                    {day.precipitation}%
+                    {day.precipitationSum > 0 && (
+                      <small>
+                        {formatPrecipitation(
+                          day.precipitationSum,
+                          units.precipitation
+                        )}
+                      </small>
+                    )}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+    </div>
+  );
+};
+
+// Partículas por nivel de intensidad (1 a 3).
+const PARTICLE_COUNTS = {
+  drizzle: [25, 40, 60],
+  rain: [35, 60, 90],
+  snow: [20, 40, 70],
+  hail: [15, 30, 45],
+};
+
+// Segundos que tarda cada partícula en caer: [mínimo, variación].
+const PARTICLE_SPEEDS = {
+  drizzle: [2, 2],
+  rain: [1, 2],
+  snow: [3, 3],
+  hail: [0.6, 0.6],
+};
+
+const WeatherParticles = memo(({ weatherCode }) => {
+  const {
+    particles: type,
+    intensity = 1,
+    lightning,
+  } = getWeatherInfo(weatherCode);
+  const [particles, setParticles] = useState([]);
+
+  useEffect(() => {
+    const count = PARTICLE_COUNTS[type]?.[intensity - 1] ?? 0;
+
+    if (count > 0) {
+      const [minDuration, variation] = PARTICLE_SPEEDS[type];
+      const newParticles = Array.from({ length: count }, (_, i) => ({
+        id: i,
+        left: Math.random() * 100,
+        delay: Math.random() * 3,
+        duration: minDuration + Math.random() * variation,
+      }));
+      setParticles(newParticles);
+    } else {
+      setParticles([]);
+    }
+
+    return () => setParticles([]);
+  }, [type, intensity]);
+
+  if (!type && !lightning) return null;
+
+  return (
+    <div className="weather-particles" aria-hidden="true">
+      {type === "fog" && (
+        <div className={`weather-fog weather-fog-${intensity}`} />
+      )}
+      {particles.map((particle) => (
+        <div
+          key={particle.id}
+          className={`particle ${type}`}
+          style={{
+            left: `${particle.left}%`,
+            animationDelay: `${particle.delay}s`,
+            animationDuration: `${particle.duration}s`,
+          }}
+        />
+      ))}
+      {lightning && <div className="weather-lightning" />}
+    </div>
+  );
+});
+
+const WeatherUnitsForm = ({ units, onChange }) => (
+  <div className="weather-units">
+    <label>
+      Temperatura:
+      <select
+        value={units.temperature}
+        onChange={(e) => onChange({ temperature: e.target.value })}
+      >
+        {TEMPERATURE_UNITS.map((unit) => (
+          <option key={unit.value} value={unit.value}>
+            {unit.label}
+          </option>
+        ))}
+      </select>
+    </label>
+    <label>
+      Viento:
+      <select
+        value={units.windSpeed}
+        onChange={(e) => onChange({ windSpeed: e.target.value })}
+      >
+        {WIND_SPEED_UNITS.map((unit) => (
+          <option key={unit.value} value={unit.value}>
+            {unit.label}
+          </option>
+        ))}
+      </select>
+    </label>
+    <label>
+      Precipitación:
+      <select
+        value={units.precipitation}
+        onChange={(e) => onChange({ precipitation: e.target.value })}
+      >
+        {PRECIPITATION_UNITS.map((unit) => (
+          <option key={unit.value} value={unit.value}>
+            {unit.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  </div>
+);
+
+const RELATIVE_TIME = new Intl.RelativeTimeFormat("es", { numeric: "auto" });
+
+const formatTimeAgo = (timestamp, now) => {
+  const minutes = Math.round((now - timestamp) / 60000);
+  if (minutes < 1) return "ahora mismo";
+  if (minutes < 60) return RELATIVE_TIME.format(-minutes, "minute");
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return RELATIVE_TIME.format(-hours, "hour");
+  return RELATIVE_TIME.format(-Math.round(hours / 24), "day");
+};
+
+// Por qué se muestran datos antiguos, según el `type` del error.
+const WEATHER_ERROR_LABELS = {
+  offline: "Sin conexión",
+  network: "No se pudo conectar",
+  server: "El servicio no responde",
+  request: "El servicio rechazó la consulta",
+  invalid: "Respuesta no válida",
+};
+
+// Se vuelve a dibujar cada minuto para que "hace X" no se quede atrás
+// cuando no llegan datos nuevos.
+const WeatherUpdatedAt = ({ fetchedAt, error, loading, onRetry }) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  return (
+    <div className={`weather-updated ${error ? "stale" : ""}`}>
+      {error && `${WEATHER_ERROR_LABELS[error.type]} · `}
+      Actualizado {formatTimeAgo(fetchedAt, Math.max(now, fetchedAt))}
+      {error && (
+        <button onClick={onRetry} disabled={loading}>
+          Reintentar
+        </button>
+      )}
+    </div>
+  );
+};
+
+const ClimaWidget = memo(({ settings }) => {
+  const { location } = settings;
+  const { state, updateWeatherUnits } = useApp();
+  const units = state.weatherUnits;
+  const {
+    data: weather,
+    fetchedAt,
+    loading,
+    error,
+    retry,
+  } = useWeather(location, units);
+  const [panel, setPanel] = useState(null);
+  const togglePanel = (name) => setPanel((p) => (p === name ? null : name));
+  const current = weather?.current;
+
+  return (
+    <div className="clima-widget">
+      {!weather && loading && <div className="loading">Cargando clima...</div>}
+      {!weather && !loading && error && (
+        <div className="error">
+          No se pudo cargar el clima
+          <button onClick={retry} className="btn-secondary">
+            Reintentar
+          </button>
+        </div>
+      )}
+      {weather && (
+        <>
+          <WeatherParticles weatherCode={current?.weather_code || 0} />
+          <div className="weather-icon" aria-hidden="true">
+            {getWeatherIcon(current?.weather_code || 0, current?.is_day)}
+          </div>
+          <div className="temperature">
+            {Math.round(current?.temperature_2m || 0)}
+            {getUnitLabel(TEMPERATURE_UNITS, units.temperature)}
+          </div>
+          <div className="weather-description">
+            {getWeatherInfo(current?.weather_code || 0).description}
+          </div>
+          <div className="location">{location.name}</div>
+          <WeatherUpdatedAt
+            fetchedAt={fetchedAt}
+            error={error}
+            loading={loading}
+            onRetry={retry}
+          />
+          {current && <WeatherDetails current={current} units={units} />}
+          <div className="weather-actions">
+            <button
+              onClick={() => togglePanel("forecast")}
+              className="btn-secondary forecast-toggle"
+              aria-expanded={panel === "forecast"}
+            >
+              Pronóstico
+              {panel === "forecast" ? (
+                <ChevronUp size={16} />
+              ) : (
+                <ChevronDown size={16} />
+              )}
+            </button>
+            <button
+              onClick={() => togglePanel("units")}
+              className="btn-secondary forecast-toggle"
+              aria-expanded={panel === "units"}
+            >
+              Unidades
+              {panel === "units" ? (
+                <ChevronUp size={16} />
+              ) : (
+                <ChevronDown size={16} />
+              )}
+            </button>
+          </div>
+          {panel === "forecast" && (
+            <WeatherForecast weather={weather} units={units} />
+          )}
+          {panel === "units" && (
+            <WeatherUnitsForm units={units} onChange={updateWeatherUnits} />
+          )}
+        </>
+      )}
+    </div>
+  );
+});
+
+const NEW_COLLECTION = "__new";
+
+const CollectionPicker = ({ widget }) => {
+  const { state, setWidgetCollection, addCollection } = useApp();
+  const [isCreating, setIsCreating] = useState(false);
+  const [name, setName] = useState("");
+  const value = widget.collection ?? "";
+  const isKnown =
+    !value ||
+    value === widget.id ||
+    state.collections.some((collection) => collection.id === value);
+  // Lo que dejaron los widgets cerrados del mismo tipo, para adoptarlo.
+  const orphans = state.orphanedCollections.filter((orphan) =>
+    widget.type === "recordatorios" ? orphan.reminders > 0 : orphan.notes > 0
+  );
+
+  const handleChange = (e) => {
+    if (e.target.value === NEW_COLLECTION) {
+      setName("");
+      setIsCreating(true);
+    } else {
+      setWidgetCollection(widget.id, e.target.value || null);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (name.trim()) {
+      setWidgetCollection(widget.id, addCollection(name));
+    }
+    setIsCreating(false);
+  };
+
+  if (isCreating) {
+    return (
+      <form
+        className="collection-picker"
+        onSubmit={handleCreate}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") {
+            e.stopPropagation();
+            setIsCreating(false);
+          }
+        }}
+      >
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={() => setIsCreating(false)}
+          placeholder="Nueva colección"
+          aria-label="Nombre de la colección"
+          maxLength={40}
+          autoFocus
+        />
+      </form>
+    );
+  }
+
+  return (
+    <div className="collection-picker">
+      <select
+        value={value}
+        onChange={handleChange}
+        aria-label="Colección"
+        title="Colección"
+      >
+        <option value="">Todas</option>
+        <option value={widget.id}>Solo este widget</option>
+        {!isKnown && <option value={value}>Compartida</option>}
+        {orphans.map((orphan) => {
+          const count =
+            widget.type === "recordatorios"
+              ? `${orphan.reminders} ${orphan.reminders === 1 ? "recordatorio" : "recordatorios"}`
+              : `${orphan.notes} ${orphan.notes === 1 ? "nota" : "notas"}`;
+          return (
+            <option key={orphan.id} value={orphan.id}>
+              De un widget cerrado ({count})
+            </option>
+          );
+        })}
+        {state.collections.map((collection) => (
+          <option key={collection.id} value={collection.id}>
+            {collection.name}
+          </option>
+        ))}
+        <option value={NEW_COLLECTION}>Nueva colección…</option>
+      </select>
+    </div>
+  );
+};
+
+const NotasWidget = memo(({ widget }) => {
+  const { state, addNote, deleteNote } = useApp();
+  const [newNote, setNewNote] = useState("");
+  const collection = widget.collection ?? null;
+  const notes = useMemo(
+    () => filterByCollection(state.notes, collection),
+    [state.notes, collection]
+  );
+  const pomodoroCounts = useMemo(
+    () => countPomodorosByTask(state.pomodoroHistory),
+    [state.pomodoroHistory]
+  );
+
+  const handleAddNote = () => {
+    if (newNote.trim()) {
+      addNote(newNote.trim(), collection);
+      setNewNote("");
+    }
+  };
+
+  return (
+    <div className="notas-widget">
+      <div className="note-input">
+        <textarea
+          value={newNote}
+          onChange={(e) => setNewNote(e.target.value)}
+          placeholder="Escribe una nota..."
+          rows={3}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && e.ctrlKey) handleAddNote();
+          }}
+        />
+        <button onClick={handleAddNote} className="btn-primary">
+          <Plus size={16} /> Agregar
+        </button>
+      </div>
+      <div className="notes-list">
+        {notes.length === 0 && (
+          <div className="empty-state">No hay notas aún</div>
+        )}
+        {notes.map((note) => (
+          <div key={note.id} className="note-item">
+            <p>{note.content}</p>
+            <div className="note-footer">
+              <span className="note-date">
+                {new Date(note.timestamp).toLocaleDateString("es-ES", {
+                  day: "numeric",
+                  month: "short",
+                  hour: "2-digit",
+                  minute: "2-digit",
+                })}
+                {pomodoroCounts.has(`note:${note.id}`) && (
+                  <span className="pomodoro-count">
+                    {pomodoroCounts.get(`note:${note.id}`)} 🍅 dedicados
+                  </span>
+                )}
+              </span>
+              <button onClick={() => deleteNote(note.id)} className="btn-icon">
+                <Trash2 size={14} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+const REMINDER_GROUPS = [
+  { key: "overdue", label: "Vencidos" },
+  { key: "today", label: "Hoy" },
+  { key: "upcoming", label: "Próximos" },
+  { key: "completed", label: "Completados" },
+];
+
+const RecordatoriosWidget = memo(({ widget }) => {
+  const {
+    state,
+    addReminder,
+    toggleReminder,
+    deleteReminder,
+    importReminders,
+    showToast,
+  } = useApp();
+  const fileInputRef = useRef(null);
+  const pomodoroCounts = useMemo(
+    () => countPomodorosByTask(state.pomodoroHistory),
+    [state.pomodoroHistory]
+  );
+  const [newReminderText, setNewReminderText] = useState("");
+  const [newReminderDate, setNewReminderDate] = useState(() =>
+    formatDateInput(getZonedParts(Date.now(), getLocalTimeZone()))
+  );
+  const [newReminderTime, setNewReminderTime] = useState("");
+  const [repeat, setRepeat] = useState("none");
+  const [customDays, setCustomDays] = useState([]);
+  const [repeatInterval, setRepeatInterval] = useState(1);
+  const [endType, setEndType] = useState("never");
+  const [untilDate, setUntilDate] = useState("");
+  const [count, setCount] = useState(10);
+  const collection = widget.collection ?? null;
+  const reminders = useMemo(
+    () => filterByCollection(state.reminders, collection),
+    [state.reminders, collection]
+  );
+
+  // Un recordatorio pasa a vencido a su hora aunque no cambie nada más.
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const groups = useMemo(
+    () => groupReminders(reminders, now),
+    [reminders, now]
+  );
+
+  const handleAddReminder = () => {
+    if (newReminderText.trim() && newReminderDate && newReminderTime) {
+      addReminder({
+        text: newReminderText.trim(),
+        date: newReminderDate,
+        time: newReminderTime,
+        recurrence: buildRecurrence(repeat, parseDateInput(newReminderDate), {
+          customDays,
+          interval: repeatInterval,
+          endType,
+          untilDate,
+          count,
+        }),
+        collection,
+      });
+      setNewReminderText("");
+      setNewReminderTime("");
+      setRepeat("none");
+      setEndType("never");
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = icsComponentsToReminders(parseIcs(await file.text()));
+      const { added, updated } = importReminders(imported, collection);
+      showToast({
+        title: "Calendario importado",
+        body: `${added} nuevos, ${updated} actualizados`,
+        duration: 5000,
+      });
+    } catch (error) {
+      showToast({
+        title: "No se pudo importar",
+        body: error.message,
+        variant: "error",
+        duration: 8000,
+      });
+    }
+  };
+
+  const handleExport = () => {
+    downloadFile(
+      "betterdesk-recordatorios.ics",
+      remindersToIcs(reminders),
+      "text/calendar;charset=utf-8"
+    );
+  };
+
+  const toggleCustomDay = (code) => {
+    setCustomDays((days) =>
+      days.includes(code) ? days.filter((d) => d !== code) : [...days, code]
+    );
+  };
+
+  return (
+    <div className="recordatorios-widget">
+      <div className="reminder-toolbar">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".ics,text/calendar"
+          onChange={handleImport}
+          hidden
+        />
+        <button
+          onClick={() => fileInputRef.current.click()}
+          className="btn-icon"
+        >
+          <Upload size={14} /> Importar .ics
+        </button>
+        <button
+          onClick={handleExport}
+          className="btn-icon"
+          disabled={reminders.length === 0}
+        >
+          <Download size={14} /> Exportar .ics
+        </button>
+      </div>
+      <div className="reminder-form">
+        <div className="reminder-input">
+          <input
+            type="text"
+            value={newReminderText}
+            onChange={(e) => setNewReminderText(e.target.value)}
+            placeholder="Recordatorio..."
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && newReminderTime) handleAddReminder();
+            }}
+          />
+          <button onClick={handleAddReminder} className="btn-primary">
+            <Plus size={16} />
+          </button>
+        </div>
+        <div className="reminder-options">
+          <input
+            type="date"
+            value={newReminderDate}
+            onChange={(e) => setNewReminderDate(e.target.value)}
+          />
+          <input
+            type="time"
+            value={newReminderTime}
+            onChange={(e) => setNewReminderTime(e.target.value)}
+          />
+          <select value={repeat} onChange={(e) => setRepeat(e.target.value)}>
+            {REPEAT_PRESETS.map((preset) => (
+              <option key={preset.value} value={preset.value}>
+                {preset.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {repeat === "custom" && (
+          <div className="reminder-options">
+            <label>
+              Cada
+              <input
+                type="number"
+                min="1"
+                max="52"
+                value={repeatInterval}
+                onChange={(e) =>
+                  setRepeatInterval(parseInt(e.target.value) || 1)
+                }
+              />
+              semana(s)
+            </label>
+            <div className="weekday-picker">
+              {[...WORKWEEK_CODES, "SA", "SU"].map((code) => (
+                <button
+                  key={code}
+                  onClick={() => toggleCustomDay(code)}
+                  className={customDays.includes(code) ? "active" : ""}
+                  aria-pressed={customDays.includes(code)}
+                  aria-label={WEEKDAY_NAMES[code]}
+                >
+                  {WEEKDAY_NAMES[code].charAt(0).toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+        {repeat !== "none" && (
+          <div className="reminder-options">
+            <select
+              value={endType}
+              onChange={(e) => setEndType(e.target.value)}
+            >
+              <option value="never">Sin fin</option>
+              <option value="until">Hasta una fecha</option>
+              <option value="count">Número de veces</option>
+            </select>
+            {endType === "until" && (
+              <input
+                type="date"
+                value={untilDate}
+                min={newReminderDate}
+                onChange={(e) => setUntilDate(e.target.value)}
+              />
+            )}
+            {endType === "count" && (
+              <input
+                type="number"
+                min="1"
+                max="999"
+                value={count}
+                onChange={(e) => setCount(parseInt(e.target.value) || 1)}
+              />
+            )}
+          </div>
+        )}
+      </div>
+      <div className="reminders-list">
+        {reminders.length === 0 && (
+          <div className="empty-state">No hay recordatorios</div>
+        )}
+        {REMINDER_GROUPS.filter(({ key }) => groups[key].length > 0).map(
+          ({ key, label }) => (
+            <div key={key} className={`reminder-group ${key}`}>
+              <h4 className="reminder-group-title">
+                {label} <span>{groups[key].length}</span>
+              </h4>
+              {groups[key].map((reminder) => (
+                <div
+                  key={reminder.id}
+                  className={`reminder-item ${
+                    reminder.completed ? "completed" : ""
+                  } ${isReminderOverdue(reminder, now) ? "overdue" : ""}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={reminder.completed}
+                    onChange={() => toggleReminder(reminder.id)}
+                  />
+                  <div className="reminder-content">
+                    <span>{reminder.text}</span>
+                    <span className="reminder-time">
+                      {formatReminderDue(reminder)}
+                      {reminder.alarmOffset < 0 && (
+                        <span className="reminder-badge">
+                          Aviso {Math.round(-reminder.alarmOffset / MINUTE)} min
+                          antes
+                        </span>
+                      )}
+                      {isReminderOverdue(reminder, now) && (
+                        <span className="reminder-badge overdue">Vencido</span>
+                      )}
+                      {!reminder.completed &&
+                        !reminder.firedAt &&
+                        reminder.snoozedUntil && (
+                          <span className="reminder-badge snoozed">
+                            Pospuesto hasta{" "}
+                            {formatClockTime(reminder.snoozedUntil)}
+                          </span>
+                        )}
+                    </span>
+                    {pomodoroCounts.has(`reminder:${reminder.id}`) && (
+                      <span className="pomodoro-count">
+                        {pomodoroCounts.get(`reminder:${reminder.id}`)} 🍅
+                        dedicados
+                      </span>
+                    )}
+                    {reminder.recurrence && (
+                      <span className="reminder-recurrence">
+                        <RotateCcw size={12} />
+                        {describeRecurrence(reminder.recurrence)}
+                      </span>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => deleteReminder(reminder.id)}
+                    className="btn-icon"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  );
+});
+
+const CalculadoraWidget = memo(() => {
+  const [display, setDisplay] = useState("0");
+  const [prevValue, setPrevValue] = useState(null);
+  const [operation, setOperation] = useState(null);
+  const [newNumber, setNewNumber] = useState(true);
+
+  const handleNumber = (num) => {
+    if (newNumber) {
+      setDisplay(num);
+      setNewNumber(false);
+    } else {
+      setDisplay(display === "0" ? num : display + num);
+    }
+  };
+
+  const handleOperation = (op) => {
+    const current = parseFloat(display);
+    if (prevValue === null) {
+      setPrevValue(current);
+    } else if (operation) {
+      const result = calculate(prevValue, current, operation);
+      setDisplay(String(result));
+      setPrevValue(result);
+    }
+    setOperation(op);
+    setNewNumber(true);
+  };
+
+  const calculate = (a, b, op) => {
+    switch (op) {
+      case "+":
+        return a + b;
+      case "-":
+        return a - b;
+      case "×":
+        return a * b;
+      case "÷":
+        return b !== 0 ? a / b : "Error";
+      default:
+        return b;
+    }
+  };
+
+  const handleEquals = () => {
+    if (operation && prevValue !== null) {
+      const result = calculate(prevValue, parseFloat(display), operation);
+      setDisplay(String(result));
+      setPrevValue(null);
+      setOperation(null);
+      setNewNumber(true);
+    }
+  };
+
+  const handleClear = () => {
+    setDisplay("0");
+    setPrevValue(null);
+    setOperation(null);
+    setNewNumber(true);
+  };
+
+  const handleDecimal = () => {
+    if (newNumber) {
+      setDisplay("0.");
+      setNewNumber(false);
+    } else if (!display.includes(".")) {
+      setDisplay(display + ".");
+    }
+  };
+
+  return (
+    <div className="calculadora-widget">
+      <div className="calc-display">{display}</div>
+      <div className="calc-grid">
+        <button onClick={handleClear} className="calc-btn calc-clear">
+          C
+        </button>
+        <button
+          onClick={() => handleOperation("÷")}
+          className="calc-btn calc-op"
+        >
+          ÷
+        </button>
+        <button
+          onClick={() => handleOperation("×")}
+          className="calc-btn calc-op"
+        >
+          ×
+        </button>
+        <button
+          onClick={() => handleOperation("-")}
+          className="calc-btn calc-op"
+        >
+          -
+        </button>
+
+        <button onClick={() => handleNumber("7")} className="calc-btn">
+          7
+        </button>
+        <button onClick={() => handleNumber("8")} className="calc-btn">
+          8
+        </button>
+        <button onClick={() => handleNumber("9")} className="calc-btn">
+          9
+        </button>
+        <button
+          onClick={() => handleOperation("+")}
+          className="calc-btn calc-op calc-plus"
+        >
+          +
+        </button>
+
+        <button onClick={() => handleNumber("4")} className="calc-btn">
+          4
+        </button>
+        <button onClick={() => handleNumber("5")} className="calc-btn">
+          5
+        </button>
+        <button onClick={() => handleNumber("6")} className="calc-btn">
+          6
+        </button>
+        <button onClick={handleEquals} className="calc-btn calc-equals">
+          =
+        </button>
+
+        <button onClick={() => handleNumber("1")} className="calc-btn">
+          1
+        </button>
+        <button onClick={() => handleNumber("2")} className="calc-btn">
+          2
+        </button>
+        <button onClick={() => handleNumber("3")} className="calc-btn">
+          3
+        </button>
+        <button onClick={handleDecimal} className="calc-btn">
+          .
+        </button>
+
+        <button
+          onClick={() => handleNumber("0")}
+          className="calc-btn calc-zero"
+        >
+          0
+        </button>
+      </div>
+    </div>
+  );
+});
+
+const CURRENCIES = [
+  { code: "USD", name: "Dólar", flag: "🇺🇸" },
+  { code: "EUR", name: "Euro", flag: "🇪🇺" },
+  { code: "GBP", name: "Libra", flag: "🇬🇧" },
+  { code: "JPY", name: "Yen", flag: "🇯🇵" },
+  { code: "CNY", name: "Yuan", flag: "🇨🇳" },
+  { code: "CAD", name: "Dólar CAD", flag: "🇨🇦" },
+  { code: "AUD", name: "Dólar AUD", flag: "🇦🇺" },
+  { code: "CHF", name: "Franco", flag: "🇨🇭" },
+  { code: "MXN", name: "Peso MXN", flag: "🇲🇽" },
+  { code: "BRL", name: "Real", flag: "🇧🇷" },
+  { code: "COP", name: "Peso COP", flag: "🇨🇴" },
+  { code: "GTQ", name: "Quetzal", flag: "🇬🇹" },
+  { code: "HNL", name: "Lempira", flag: "🇭🇳" },
+  { code: "CRC", name: "Colón CRC", flag: "🇨🇷" },
+  { code: "INR", name: "Rupia", flag: "🇮🇳" },
+  { code: "KRW", name: "Won", flag: "🇰🇷" },
+];
+
+const DEFAULT_CURRENCIES = CURRENCIES.slice(0, 9).map((curr) => curr.code);
+
+const MonedasWidget = memo(({ settings }) => {
+  const { rates, loading } = useCurrency();
+  const [amount, setAmount] = useState("1");
+  const currencies = CURRENCIES.filter((curr) =>
+    settings.currencies.includes(curr.code)
+  );
+  const codes = currencies.map((curr) => curr.code);
+  const [selectedFrom, setFromCurrency] = useState("USD");
+  const [selectedTo, setToCurrency] = useState("EUR");
+  // Si la moneda elegida se quita de los ajustes se usa la primera que quede.
+  const fromCurrency = codes.includes(selectedFrom) ? selectedFrom : codes[0];
+  const toCurrency = codes.includes(selectedTo)
+    ? selectedTo
+    : (codes[1] ?? codes[0]);
+
+  const convert = () => {
+    if (!rates || !amount) return 0;
+    const amountNum = parseFloat(amount);
+    if (isNaN(amountNum)) return 0;
+
+    const fromRate = rates[fromCurrency] || 1;
+    const toRate = rates[toCurrency] || 1;
+    const result = (amountNum / fromRate) * toRate;
+    return result.toFixed(2);
+  };
+
+  return (
+    <div className="monedas-widget">
+      {loading ? (
+        <div className="loading">Cargando tasas...</div>
+      ) : (
+        <>
+          <div className="currency-input-group">
+            <label>Cantidad</label>
+            <input
+              type="number"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder="Cantidad"
+            />
+          </div>
+          <div className="currency-selector">
+            <div className="currency-select-group">
+              <label>De</label>
+              <select
+                value={fromCurrency}
+                onChange={(e) => setFromCurrency(e.target.value)}
+              >
+                {currencies.map((curr) => (
+                  <option key={curr.code} value={curr.code}>
+                    {curr.flag} {curr.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="currency-arrow">→</div>
+            <div className="currency-select-group">
+              <label>A</label>
+              <select
+                value={toCurrency}
+                onChange={(e) => setToCurrency(e.target.value)}
+              >
+                {currencies.map((curr) => (
+                  <option key={curr.code} value={curr.code}>
+                    {curr.flag} {curr.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="currency-result">
+            <div className="result-label">Resultado</div>
+            <div className="result-amount">
+              {convert()} {toCurrency}
+            </div>
+          </div>
+          {rates && (
+            <div className="exchange-rate">
+              1 {fromCurrency} ={" "}
+              {(rates[toCurrency] / rates[fromCurrency]).toFixed(4)}{" "}
+              {toCurrency}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+});
+
+const KNOWN_TIMEZONES = {
+  "America/El_Salvador": { name: "San Salvador", flag: "🇸🇻" },
+  "America/New_York": { name: "New York", flag: "🇺🇸" },
+  "Europe/London": { name: "London", flag: "🇬🇧" },
+  "Asia/Tokyo": { name: "Tokyo", flag: "🇯🇵" },
+  "Australia/Sydney": { name: "Sydney", flag: "🇦🇺" },
+  "Asia/Dubai": { name: "Dubai", flag: "🇦🇪" },
+};
+
+const DEFAULT_TIMEZONES = Object.keys(KNOWN_TIMEZONES);
+
+const describeTimeZone = (zone) =>
+  KNOWN_TIMEZONES[zone] ?? {
+    name: zone.split("/").pop().replace(/_/g, " "),
+    flag: "🌐",
+  };
+
+const RelojWidget = memo(({ settings }) => {
+  const [time, setTime] = useState(new Date());
+
+  const timezones = settings.timezones
+    .filter(isValidTimeZone)
+    .map((zone) => ({ zone, ...describeTimeZone(zone) }));
+
+  useEffect(() => {
+    const timer = setInterval(() => setTime(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const getTimeInZone = (zone) => {
+    return time.toLocaleTimeString("es-ES", {
+      timeZone: zone,
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+  };
+
+  return (
+    <div className="reloj-widget">
+      {timezones.map((tz) => (
+        <div key={tz.zone} className="timezone-item">
+          <div className="timezone-info">
+            <span className="timezone-flag">{tz.flag}</span>
+            <span className="timezone-name">{tz.name}</span>
+          </div>
+          <div className="timezone-time">{getTimeInZone(tz.zone)}</div>
+        </div>
+      ))}
+    </div>
+  );
+});
+
+// ---------- Widgets incluidos ----------
+registerWidget({
+  id: "pomodoro",
+  title: "Pomodoro",
+  icon: Clock,
+  defaultSize: { width: 420, height: 550 },
+  sizeLimits: { minWidth: 320, minHeight: 360, maxWidth: 720, maxHeight: 960 },
+  component: PomodoroWidget,
+});
+
+registerWidget({
+  id: "clima",
+  title: "Clima",
+  icon: Cloud,
+  defaultSize: { width: 380, height: 400 },
+  sizeLimits: { minWidth: 280, minHeight: 280, maxWidth: 720, maxHeight: 800 },
+  settings: [
+    {
+      key: "location",
+      label: "Ubicación",
+      type: "location",
+      default: { name: "San Salvador, SV", latitude: 13.69, longitude: -89.19 },
+    },
+  ],
+  component: ClimaWidget,
+});
+
+registerWidget({
+  id: "notas",
+  title: "Notas",
+  icon: FileText,
+  defaultSize: { width: 450, height: 600 },
+  sizeLimits: { minWidth: 300, minHeight: 300, maxWidth: 960, maxHeight: 1080 },
+  component: NotasWidget,
+  headerActions: CollectionPicker,
+});
+
+registerWidget({
+  id: "recordatorios",
+  title: "Recordatorios",
+  icon: Bell,
+  defaultSize: { width: 480, height: 600 },
+  sizeLimits: { minWidth: 360, minHeight: 320, maxWidth: 960, maxHeight: 1080 },
+  component: RecordatoriosWidget,
+  headerActions: CollectionPicker,
+});
+
+registerWidget({
+  id: "calculadora",
+  title: "Calculadora",
+  icon: Calculator,
+  defaultSize: { width: 320, height: 480 },
+  sizeLimits: { minWidth: 260, minHeight: 400, maxWidth: 480, maxHeight: 720 },
+  component: CalculadoraWidget,
+});
+
+registerWidget({
+  id: "monedas",
+  title: "Monedas",
+  icon: DollarSign,
+  defaultSize: { width: 400, height: 520 },
+  sizeLimits: { minWidth: 320, minHeight: 420, maxWidth: 720, maxHeight: 800 },
+  settings: [
+    {
+      key: "currencies",
+      label: "Monedas",
+      type: "list",
+      default: DEFAULT_CURRENCIES,
+      minItems: 1,
+      options: CURRENCIES.map((curr) => ({
+        value: curr.code,
+        label: `${curr.flag} ${curr.code} · ${curr.name}`,
+      })),
+    },
+  ],
+  component: MonedasWidget,
+});
+
+registerWidget({
+  id: "reloj",
+  title: "Reloj",
+  menuLabel: "Reloj Mundial",
+  icon: Globe,
+  defaultSize: { width: 500, height: 450 },
+  sizeLimits: { minWidth: 320, minHeight: 260, maxWidth: 960, maxHeight: 960 },
+  settings: [
+    {
+      key: "timezones",
+      label: "Zonas horarias",
+      type: "list",
+      default: DEFAULT_TIMEZONES,
+      minItems: 1,
+      suggestions: Intl.supportedValuesOf?.("timeZone") ?? DEFAULT_TIMEZONES,
+      validate: (zone) =>
+        isValidTimeZone(zone) ? null : "Zona horaria no reconocida",
+    },
+  ],
+  component: RelojWidget,
+});
+
+// Aviso de arranque cuando los datos guardados no se pudieron cargar tal cual.
+const StorageNotice = () => {
+  const { state, dismissStorageNotice } = useApp();
+  const report = state.storageReport;
+  const quarantined = Object.entries(report?.quarantined ?? {});
+  if (!report || (!report.error && !report.newer && !quarantined.length)) {
+    return null;
+  }
+
+  const total = quarantined.reduce((sum, [, count]) => sum + count, 0);
+  const sections = quarantined
+    .map(([key, count]) => `${STORAGE_SCHEMAS[key]?.label ?? key}: ${count}`)
+    .join(", ");
+
+  let title;
+  let body;
+  if (report.newer) {
+    title = "Datos de una versión más reciente";
+    body =
+      "Estos datos se guardaron con una versión más nueva de BetterDesk. " +
+      "Solo se guardará lo que cambies, pero puede que algo no se muestre bien.";
+  } else if (report.error) {
+    title = "No se pudieron actualizar tus datos";
+    body = `La actualización al esquema ${report.version} falló (${report.error}). Tus datos se conservan tal como estaban.`;
+  } else {
+    title = "Se recuperaron tus datos";
+    body = `${total === 1 ? "Se apartó 1 registro dañado" : `Se apartaron ${total} registros dañados`} (${sections}). El resto se cargó con normalidad y lo apartado se puede descargar.`;
+  }
+
+  const handleDownload = () => {
+    downloadFile(
+      "betterdesk-apartados.json",
+      JSON.stringify(readQuarantine(), null, 2),
+      "application/json"
+    );
+  };
+
+  const handleDiscard = () => {
+    clearQuarantine();
+    dismissStorageNotice();
+  };
+
+  return (
+    <div className="storage-notice" role="alert">
+      <AlertTriangle size={20} />
+      <div className="storage-notice-body">
+        <strong>{title}</strong>
+        <p>{body}</p>
+      </div>
+      <div className="storage-notice-actions">
+        {quarantined.length > 0 && (
+          <>
+            <button onClick={handleDownload}>
+              <Download size={14} /> Descargar
+            </button>
+            <button onClick={handleDiscard}>Borrar apartados</button>
+          </>
+        )}
+        <button onClick={dismissStorageNotice}>Entendido</button>
+      </div>
+    </div>
+  );
+};
+
+const ToastContainer = () => {
+  const { state, dismissToast, snoozeReminder, toggleReminder } = useApp();
+
+  if (state.toasts.length === 0) return null;
+
+  return (
+    <div className="toast-container" role="status" aria-live="polite">
+      {state.toasts.map((toast) => (
+        <div
+          key={toast.id}
+          className={`toast ${toast.variant ? toast.variant : ""}`}
+        >
+          <div className="toast-header">
+            {toast.reminderId && <AlarmClock size={18} />}
+            <strong>{toast.title}</strong>
+            <button
+              onClick={() => dismissToast(toast.id)}
+              className="btn-icon"
+              aria-label="Cerrar aviso"
+            >
+              <X size={14} />
+            </button>
+          </div>
+          {toast.body && <p className="toast-body">{toast.body}</p>}
+          {toast.reminderId && (
+            <div className="toast-actions">
+              {REMINDER_SNOOZE_OPTIONS.map((minutes) => (
+                <button
+                  key={minutes}
+                  onClick={() => snoozeReminder(toast.reminderId, minutes)}
+                  className="toast-btn"
+                >
+                  +{minutes} min
+                </button>
+              ))}
+              <button
+                onClick={() => toggleReminder(toast.reminderId)}
+                className="toast-btn primary"
+              >
+                Hecho
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const DeskSwitcher = () => {
+  const { state, switchDesk, addDesk, renameDesk, removeDesk } = useApp();
+  const [mode, setMode] = useState(null);
+  const [name, setName] = useState("");
+  const activeDesk = state.desks.find((desk) => desk.id === state.activeDeskId);
+
+  const startEditing = (nextMode) => {
+    setMode(nextMode);
+    setName(nextMode === "rename" ? activeDesk.name : "");
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (mode === "add") {
+      addDesk(name);
+    } else {
+      renameDesk(activeDesk.id, name);
+    }
+    setMode(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") setMode(null);
+  };
+
+  if (mode === "add" || mode === "rename") {
+    return (
+      <form
+        className="desk-switcher"
+        onSubmit={handleSubmit}
+        onKeyDown={handleKeyDown}
+      >
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Nombre del escritorio"
+          aria-label="Nombre del escritorio"
+          maxLength={40}
+          autoFocus
+        />
+        <button type="submit" className="btn-icon" aria-label="Guardar">
+          <Check size={18} />
+        </button>
+        <button
+          type="button"
+          className="btn-icon"
+          onClick={() => setMode(null)}
+          aria-label="Cancelar"
+        >
+          <X size={18} />
+        </button>
+      </form>
+    );
+  }
+
+  if (mode === "remove") {
+    return (
+      <div
+        className="desk-switcher"
+        role="alertdialog"
+        aria-label="Eliminar escritorio"
+        onKeyDown={handleKeyDown}
+      >
+        <span>
+          ¿Eliminar «{activeDesk.name}»
+          {state.widgets.length > 0 && ` y sus ${state.widgets.length} widgets`}
+          ?
+        </span>
+        <button
+          className="desk-confirm-yes"
+          onClick={() => {
+            removeDesk(activeDesk.id);
+            setMode(null);
+          }}
+        >
+          Eliminar
+        </button>
+        <button onClick={() => setMode(null)} autoFocus>
+          Cancelar
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="desk-switcher">
+      <select
+        value={state.activeDeskId}
+        onChange={(e) => switchDesk(e.target.value)}
+        aria-label="Escritorio"
+        aria-keyshortcuts="Alt+PageUp Alt+PageDown"
+        title="Escritorio (Alt + RePág / AvPág para cambiar)"
+      >
+        {state.desks.map((desk, index) => (
+          <option key={desk.id} value={desk.id}>
+            {index < 9 ? `${index + 1}. ` : ""}
+            {desk.name}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={() => startEditing("add")}
+        className="btn-icon"
+        aria-label="Nuevo escritorio"
+        title="Nuevo escritorio"
+      >
+        <Plus size={18} />
+      </button>
+      <button
+        onClick={() => startEditing("rename")}
+        className="btn-icon"
+        aria-label="Renombrar escritorio"
+        title="Renombrar escritorio"
+      >
+        <Pencil size={18} />
+      </button>
+      <button
+        onClick={() => setMode("remove")}
+        className="btn-icon"
+        aria-label="Eliminar escritorio"
+        title="Eliminar escritorio"
+        disabled={state.desks.length <= 1}
+      >
+        <Trash2 size={18} />
+      </button>
+    </div>
+  );
+};
+
+const describeBackupChange = (change) => {
+  if (change.replaced) return "Se reemplaza";
+  if (change.added === undefined) return "Se elimina";
+  return [
+    change.added > 0 && `${change.added} nuevos`,
+    change.updated > 0 && `${change.updated} actualizados`,
+    change.removed > 0 && `${change.removed} eliminados`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+};
+
+const BackupDialog = ({ onClose }) => {
+  const fileInputRef = useRef(null);
+  const [backup, setBackup] = useState(null);
+  // Datos guardados al elegir la copia, para comparar.
+  const [current, setCurrent] = useState({});
+  const [error, setError] = useState(null);
+  const [mode, setMode] = useState("merge");
+
+  const changes = useMemo(() => {
+    if (!backup) return [];
+    return summarizeBackupChanges(
+      current,
+      mode === "merge" ? mergeBackupData(current, backup.data) : backup.data
+    );
+  }, [backup, current, mode]);
+
+  const handleExport = async () => {
+    try {
+      downloadFile(
+        `betterdesk-${formatDateInput(getZonedParts(Date.now(), getLocalTimeZone()))}.json`,
+        JSON.stringify(await createBackup(), null, 2),
+        "application/json"
+      );
+    } catch (err) {
+      setError(`No se pudo exportar: ${err.message}`);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const parsed = parseBackup(await file.text());
+      setCurrent(await readStoredData());
+      setBackup(parsed);
+      setError(null);
+    } catch (err) {
+      setBackup(null);
+      setError(err.message);
+    }
+  };
+
+  const handleApply = async () => {
+    try {
+      await applyBackup(backup, mode);
+    } catch (err) {
+      setError(`No se pudo restaurar la copia: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="backup-title"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") onClose();
+        }}
+      >
+        <div className="dialog-header">
+          <h2 id="backup-title">Copia de seguridad</h2>
+          <button onClick={onClose} className="btn-icon" aria-label="Cerrar">
+            <X size={18} />
+          </button>
+        </div>
+        <section className="dialog-section">
+          <p>
+            Guarda en un archivo tus escritorios, widgets, notas, recordatorios,
+            historial del Pomodoro y ajustes.
+          </p>
+          <button onClick={handleExport} className="btn-primary" autoFocus>
+            <Download size={16} /> Exportar copia
+          </button>
+        </section>
+        <section className="dialog-section">
+          <h3>Restaurar</h3>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFile}
+            hidden
+          />
+          <button
+            onClick={() => fileInputRef.current.click()}
+            className="btn-secondary"
+          >
+            <Upload size={16} /> Elegir archivo…
+          </button>
+          {error && (
+            <p className="settings-error" role="alert">
+              {error}
+            </p>
+          )}
+          {backup && (
+            <>
+              <p className="backup-meta">
+                Copia del{" "}
+                {new Date(backup.exportedAt).toLocaleString("es-ES", {
+                  dateStyle: "long",
+                  timeStyle: "short",
+                })}
+                {backup.schemaVersion < STORAGE_VERSION &&
+                  " · se actualizará al formato actual"}
+              </p>
+              <div className="backup-modes" role="radiogroup">
+                <label>
+                  <input
+                    type="radio"
+                    name="backup-mode"
+                    checked={mode === "merge"}
+                    onChange={() => setMode("merge")}
+                  />
+                  <span>
+                    <strong>Fusionar por id</strong>
+                    Añade y actualiza registros; conserva lo demás.
+                  </span>
+                </label>
+                <label>
+                  <input
+                    type="radio"
+                    name="backup-mode"
+                    checked={mode === "replace"}
+                    onChange={() => setMode("replace")}
+                  />
+                  <span>
+                    <strong>Reemplazar todo</strong>
+                    Borra los datos actuales y deja solo los de la copia.
+                  </span>
+                </label>
+              </div>
+              {changes.length === 0 ? (
+                <p className="backup-meta">No hay cambios que aplicar.</p>
+              ) : (
+                <ul className="backup-changes">
+                  {changes.map((change) => (
+                    <li key={change.key}>
+                      <span>{change.label}</span>
+                      <span>{describeBackupChange(change)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {backup.rejected.length > 0 && (
+                <p className="backup-warning">
+                  Se omitirán {backup.rejected.length} registros no válidos de
+                  la copia.
+                </p>
+              )}
+              {backup.skippedKeys.length > 0 && (
+                <p className="backup-warning">
+                  Se omitirán datos que esta versión no reconoce:{" "}
+                  {backup.skippedKeys.join(", ")}.
+                </p>
+              )}
+              <button
+                onClick={handleApply}
+                className="btn-primary"
+                disabled={changes.length === 0}
+              >
+                Aplicar y recargar
+              </button>
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+// ==================== MAIN APP ====================
+const BetterDesk = () => {
+  const {
+    state,
+    toggleTheme,
+    addWidget,
+    arrangeWidgets,
+    updateLayoutSettings,
+    switchDesk,
+    cycleDesk,
+  } = useApp();
+  const containerRef = useRef(null);
+  const [time, setTime] = useState(new Date());
+  const [mousePos, setMousePos] = useState({ x: 0, y: 0 });
+  const [showBackup, setShowBackup] = useState(false);
+
+  useEffect(() => {
+    const timer = setInterval(() => setTime(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    const handleMouseMove = (e) => {
+      setMousePos({ x: e.clientX, y: e.clientY });
+    };
+    window.addEventListener("mousemove", handleMouseMove);
+    return () => window.removeEventListener("mousemove", handleMouseMove);
+  }, []);
+
+  // Alt + RePág/AvPág recorre los escritorios y Alt + 1…9 salta a uno concreto.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!e.altKey || e.ctrlKey || e.metaKey || isEditableTarget(e.target)) {
+        return;
+      }
+      if (e.key === "PageDown" || e.key === "PageUp") {
+        e.preventDefault();
+        cycleDesk(e.key === "PageDown" ? 1 : -1);
+      } else if (/^Digit[1-9]$/.test(e.code)) {
+        const desk = state.desks[Number(e.code.slice(5)) - 1];
+        if (desk) {
+          e.preventDefault();
+          switchDesk(desk.id);
+        }
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [state.desks, cycleDesk, switchDesk]);
+
+  const handleAutoArrange = () => {
+    const container = containerRef.current;
+    // Los widgets de un tipo sin registrar no se dibujan: conservan su
+    // posición y no ocupan sitio.
+    const items = state.widgets
+      .flatMap((widget) => {
+        const element = container.querySelector(
+          `[data-widget-id="${widget.id}"]`
+        );
+        if (!element) return [];
+        return [
+          {
+            id: widget.id,
+            width: element.offsetWidth,
+            height: element.offsetHeight,
+            position: widget.position,
+          },
+        ];
+      })
+      .sort(
+        (a, b) => a.position.y - b.position.y || a.position.x - b.position.x
+      );
+    arrangeWidgets(arrangeWidgetRects(items, container.clientWidth));
+  };
+
+  return (
+    <div className="betterdesk">
+      <div className="background-animation">
+        <div className="gradient-orb orb-1"></div>
+        <div className="gradient-orb orb-2"></div>
+        <div className="gradient-orb orb-3"></div>
+        <div
+          className="mouse-gradient"
+          style={{
+            left: `${mousePos.x}px`,
+            top: `${mousePos.y}px`,
+          }}
+        ></div>
+      </div>
+      <div className="topbar">
+        <div className="logo">BetterDesk</div>
+        <div className="clock">
+          {time.toLocaleDateString("es-ES", {
+            weekday: "long",
+            day: "numeric",
+            month: "long",
+          })}
+          {" • "}
+          {time.toLocaleTimeString("es-ES", {
+            hour: "2-digit",
+            minute: "2-digit",
+          })}
+        </div>
+        <div className="controls">
+          <button
+            onClick={handleAutoArrange}
+            className="btn-icon"
+            aria-label="Organizar widgets"
+            title="Organizar widgets"
+            disabled={state.widgets.length === 0}
+          >
+            <LayoutDashboard size={20} />
+          </button>
+          <button
+            onClick={() =>
+              updateLayoutSettings({
+                snapToGrid: !state.layoutSettings.snapToGrid,
+              })
+            }
+            className={`btn-icon ${
+              state.layoutSettings.snapToGrid ? "active" : ""
+            }`}
+            aria-label="Ajustar a la cuadrícula"
+            aria-pressed={state.layoutSettings.snapToGrid}
+            title="Ajustar a la cuadrícula"
+          >
+            <Grid3x3 size={20} />
+          </button>
+          <button
+            onClick={() =>
+              updateLayoutSettings({
+                snapToEdges: !state.layoutSettings.snapToEdges,
+              })
+            }
+            className={`btn-icon ${
+              state.layoutSettings.snapToEdges ? "active" : ""
+            }`}
+            aria-label="Imantar a los bordes"
+            aria-pressed={state.layoutSettings.snapToEdges}
+            title="Imantar a los bordes"
+          >
+            <Magnet size={20} />
+          </button>
+          <button
+            onClick={() => setShowBackup(true)}
+            className="btn-icon"
+            aria-label="Copia de seguridad"
+            title="Copia de seguridad"
+          >
+            <Archive size={20} />
+          </button>
+          <DeskSwitcher />
+          <button
+            onClick={toggleTheme}
+            className="btn-icon"
+            aria-label="Cambiar tema"
+          >
+            {state.theme === "dark" ? <Sun size={20} /> : <Moon size={20} />}
+          </button>
+        </div>
+      </div>
+
+      <div className="widgets-container" ref={containerRef}>
+        <div
+          className={`grid-overlay ${
+            state.layoutSettings.snapToGrid ? "visible" : ""
+          }`}
+        ></div>
+        {state.widgets.map((widget) => (
+          <WidgetHost key={widget.id} widget={widget} />
+        ))}
+        {state.widgets.length === 0 && (
+          <div className="welcome-message">
+            <h2>¡Bienvenido a BetterDesk!</h2>
+            <p>Agrega widgets desde el menú inferior para comenzar</p>
+          </div>
+        )}
+      </div>
+
+      <StorageNotice />
+      {showBackup && <BackupDialog onClose={() => setShowBackup(false)} />}
+      <ToastContainer />
+
+      <div className="widget-menu">
+        {getWidgetTypes().map(({ id, icon: Icon, menuLabel }) => (
+          <button key={id} onClick={() => addWidget(id)} className="menu-item">
+            {Icon && <Icon size={20} />} {menuLabel}
+          </button>
+        ))}
+      </div>
+
+      <style>{`
+        * {
+          margin: 0;
+          padding: 0;
+          box-sizing: border-box;
+        }
+
+        :root[data-theme="light"] {
+          --bg-primary: #f0f2f5;
+          --bg-secondary: #ffffff;
+          --bg-tertiary: #f9f9f9;
+          --text-primary: #1d1d1f;
+          --text-secondary: #6e6e73;
+          --border: #d2d2d7;
+          --accent: #0071e3;
+          --accent-hover: #0077ed;
+          --success: #34c759;
+          --danger: #ff3b30;
+          --warning: #ff9500;
+          --shadow: rgba(0, 0, 0, 0.1);
+          --widget-bg: rgba(255, 255, 255, 0.95);
+          --orb-1: rgba(59, 130, 246, 0.3);
+          --orb-2: rgba(139, 92, 246, 0.3);
+          --orb-3: rgba(236, 72, 153, 0.3);
+        }
+
+        :root[data-theme="dark"] {
+          --bg-primary: #0a0a0f;
+          --bg-secondary: #1c1c1e;
+          --bg-tertiary: #2c2c2e;
+          --text-primary: #f5f5f7;
+          --text-secondary: #a1a1a6;
+          --border: #38383a;
+          --accent: #0a84ff;
+          --accent-hover: #409cff;
+          --success: #32d74b;
+          --danger: #ff453a;
+          --warning: #ff9f0a;
+          --shadow: rgba(0, 0, 0, 0.5);
+          --widget-bg: rgba(28, 28, 30, 0.85);
+          --orb-1: rgba(59, 130, 246, 0.15);
+          --orb-2: rgba(139, 92, 246, 0.15);
+          --orb-3: rgba(236, 72, 153, 0.15);
+        }
+
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+          background: var(--bg-primary);
+          color: var(--text-primary);
+          overflow: hidden;
+          margin: 0;
+          padding: 0;
+        }
+
+        .betterdesk {
+          width: 100vw;
+          height: 100vh;
+          display: flex;
+          flex-direction: column;
+          position: relative;
+        }
+
+        .background-animation {
+          position: fixed;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          z-index: 0;
+          overflow: hidden;
+          background: var(--bg-primary);
+        }
+
+        .gradient-orb {
+          position: absolute;
+          border-radius: 50%;
+          filter: blur(80px);
+          opacity: 0.6;
+          animation: float-orb 20s ease-in-out infinite;
+        }
+
+        .orb-1 {
+          width: 500px;
+          height: 500px;
+          background: var(--orb-1);
+          top: -100px;
+          left: -100px;
+          animation-delay: 0s;
+        }
+
+        .orb-2 {
+          width: 400px;
+          height: 400px;
+          background: var(--orb-2);
+          top: 50%;
+          right: -100px;
+          animation-delay: 7s;
+        }
+
+        .orb-3 {
+          width: 450px;
+          height: 450px;
+          background: var(--orb-3);
+          bottom: -150px;
+          left: 30%;
+          animation-delay: 14s;
+        }
+
+        .mouse-gradient {
+          position: absolute;
+          width: 300px;
+          height: 300px;
+          background: radial-gradient(circle, var(--accent) 0%, transparent 70%);
+          border-radius: 50%;
+          pointer-events: none;
+          transform: translate(-50%, -50%);
+          opacity: 0.08;
+          transition: opacity 0.3s;
+          filter: blur(60px);
+        }
+
+        .grid-overlay {
+          position: absolute;
+          top: 0;
+          left: 0;
+          width: 100%;
+          height: 100%;
+          background-image: 
+            linear-gradient(var(--border) 1px, transparent 1px),
+            linear-gradient(90deg, var(--border) 1px, transparent 1px);
+          background-size: 50px 50px;
+          opacity: 0.03;
+          transition: opacity 0.3s;
+          pointer-events: none;
+        }
+
+        .grid-overlay.visible {
+          opacity: 0.15;
+        }
+
+        @keyframes float-orb {
+          0%, 100% {
+            transform: translate(0, 0) scale(1);
+          }
+          33% {
+            transform: translate(100px, -50px) scale(1.1);
+          }
+          66% {
+            transform: translate(-50px, 100px) scale(0.9);
+          }
+        }
+
+        .topbar {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          padding: 12px 24px;
+          background: var(--bg-secondary);
+          border-bottom: 1px solid var(--border);
+          backdrop-filter: blur(20px);
+          z-index: 100;
+          position: relative;
+        }
+
+        .logo {
+          font-size: 18px;
+          font-weight: 700;
+          background: linear-gradient(135deg, var(--accent), var(--success));
+          -webkit-background-clip: text;
+          -webkit-text-fill-color: transparent;
+          background-clip: text;
+        }
+
+        .clock {
+          font-size: 14px;
+          font-weight: 500;
+          color: var(--text-secondary);
+          text-transform: capitalize;
+        }
+
+        .controls {
+          display: flex;
+          gap: 8px;
+        }
+
+        .btn-icon {
+          background: transparent;
+          border: none;
+          color: var(--text-primary);
+          cursor: pointer;
+          padding: 8px;
+          border-radius: 8px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          transition: all 0.2s;
+        }
+
+        .btn-icon:hover {
+          background: var(--bg-tertiary);
+          transform: scale(1.05);
+        }
+
+        .btn-icon:active {
+          transform: scale(0.95);
+        }
+
+        .btn-icon.active {
+          color: var(--accent);
+        }
+
+        .btn-icon:disabled {
+          opacity: 0.4;
+          cursor: default;
+        }
+
+        .desk-switcher {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          padding-left: 8px;
+          border-left: 1px solid var(--border);
+          font-size: 13px;
+        }
+
+        .desk-switcher select,
+        .desk-switcher input {
+          padding: 6px 10px;
+          border: 1px solid var(--border);
+          border-radius: 8px;
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          font-size: 13px;
+          max-width: 180px;
+        }
+
+        .desk-switcher select {
+          cursor: pointer;
+        }
+
+        .desk-switcher select:focus,
+        .desk-switcher input:focus {
+          outline: none;
+          border-color: var(--accent);
+        }
+
+        .desk-switcher > button:not(.btn-icon) {
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          color: var(--text-primary);
+          cursor: pointer;
+          padding: 4px 10px;
+          border-radius: 6px;
+          font-size: 12px;
+        }
+
+        .desk-switcher .desk-confirm-yes {
+          background: var(--danger);
+          border-color: var(--danger);
+          color: white;
+        }
+
+        .widgets-container {
+          flex: 1;
+          position: relative;
+          overflow: hidden;
+          z-index: 1;
+        }
+
+        .welcome-message {
+          position: absolute;
+          top: 50%;
+          left: 50%;
+          transform: translate(-50%, -50%);
+          text-align: center;
+          color: var(--text-secondary);
+          z-index: 2;
+        }
+
+        .welcome-message h2 {
+          font-size: 32px;
+          margin-bottom: 12px;
+          color: var(--text-primary);
+        }
+
+        .widget {
+          position: absolute;
+          background: var(--widget-bg);
+          backdrop-filter: blur(30px);
+          border-radius: 16px;
+          box-shadow: 0 8px 32px var(--shadow);
+          border: 1px solid var(--border);
+          overflow: hidden;
+          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+          z-index: 10;
+          display: flex;
+          flex-direction: column;
+        }
+
+        .widget.resizing {
+          transition: none;
+          user-select: none;
+        }
+
+        .resize-handle {
+          position: absolute;
+          z-index: 5;
+          touch-action: none;
+        }
+
+        .resize-n,
+        .resize-s {
+          left: 12px;
+          right: 12px;
+          height: 8px;
+          cursor: ns-resize;
+        }
+
+        .resize-e,
+        .resize-w {
+          top: 12px;
+          bottom: 12px;
+          width: 8px;
+          cursor: ew-resize;
+        }
+
+        .resize-n { top: -4px; }
+        .resize-s { bottom: -4px; }
+        .resize-e { right: -4px; }
+        .resize-w { left: -4px; }
+
+        .resize-ne,
+        .resize-nw,
+        .resize-se,
+        .resize-sw {
+          width: 16px;
+          height: 16px;
+        }
+
+        .resize-ne { top: -4px; right: -4px; cursor: nesw-resize; }
+        .resize-sw { bottom: -4px; left: -4px; cursor: nesw-resize; }
+        .resize-nw { top: -4px; left: -4px; cursor: nwse-resize; }
+        .resize-se { bottom: -4px; right: -4px; cursor: nwse-resize; }
+
+        .widget.active {
+          border-color: var(--accent);
+        }
+
+        .widget:focus {
+          outline: none;
+        }
+
+        .widget:focus-visible {
+          outline: 3px solid var(--accent);
+          outline-offset: 2px;
+        }
+
+        .widget.dragging {
+          cursor: move;
+          box-shadow: 0 20px 60px var(--shadow);
+          transform: scale(1.02);
+        }
+
+        .widget-open {
+          animation: widgetOpen 0.4s cubic-bezier(0.34, 1.56, 0.64, 1);
+        }
+
+        @keyframes widgetOpen {
+          0% {
+            opacity: 0;
+            transform: scale(0.8) translateY(-20px);
+          }
+          100% {
+            opacity: 1;
+            transform: scale(1) translateY(0);
+          }
+        }
+
+        .widget-header {
+          padding: 14px 18px;
+          background: var(--bg-tertiary);
+          border-bottom: 1px solid var(--border);
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          cursor: move;
+          user-select: none;
+          touch-action: none;
+        }
+
+        .widget-header:focus-visible {
+          outline: 2px solid var(--accent);
+          outline-offset: -2px;
+        }
+
+        .widget-settings {
+          display: flex;
+          flex-direction: column;
+          gap: 16px;
+        }
+
+        .settings-field {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .settings-field > label {
+          font-size: 14px;
+          font-weight: 500;
+          color: var(--text-secondary);
+        }
+
+        .widget-settings input,
+        .widget-settings select {
+          width: 100%;
+          padding: 8px 12px;
+          border: 1px solid var(--border);
+          border-radius: 8px;
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          font-size: 14px;
+        }
+
+        .widget-settings input:focus,
+        .widget-settings select:focus {
+          outline: none;
+          border-color: var(--accent);
+        }
+
+        .settings-list {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+          list-style: none;
+        }
+
+        .settings-list li {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          padding: 4px 6px 4px 10px;
+          border-radius: 999px;
+          background: var(--bg-tertiary);
+          font-size: 12px;
+        }
+
+        .settings-list li button {
+          background: transparent;
+          border: none;
+          color: var(--text-secondary);
+          cursor: pointer;
+          display: flex;
+          padding: 2px;
+          border-radius: 50%;
+        }
+
+        .settings-list li button:hover {
+          color: var(--danger);
+        }
+
+        .settings-list-add,
+        .settings-row {
+          display: flex;
+          gap: 6px;
+        }
+
+        .settings-location {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+
+        .settings-location-current {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 13px;
+          color: var(--text-primary);
+        }
+
+        .settings-segmented {
+          display: flex;
+          padding: 2px;
+          border-radius: 8px;
+          background: var(--bg-tertiary);
+        }
+
+        .settings-segmented button {
+          flex: 1;
+          padding: 6px 8px;
+          border: none;
+          border-radius: 6px;
+          background: transparent;
+          color: var(--text-secondary);
+          font-size: 12px;
+          cursor: pointer;
+        }
+
+        .settings-segmented button[aria-pressed="true"] {
+          background: var(--bg-primary);
+          color: var(--text-primary);
+          box-shadow: 0 1px 3px var(--shadow);
+        }
+
+        .settings-location-results {
+          list-style: none;
+          max-height: 180px;
+          overflow-y: auto;
+          border: 1px solid var(--border);
+          border-radius: 8px;
+          font-size: 13px;
+        }
+
+        .settings-location-results li > button {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+          width: 100%;
+          padding: 8px 12px;
+          border: none;
+          background: transparent;
+          color: var(--text-primary);
+          text-align: left;
+          cursor: pointer;
+        }
+
+        .settings-location-results li > button:hover {
+          background: var(--bg-tertiary);
+        }
+
+        .settings-location-results li > button span:last-child {
+          color: var(--text-secondary);
+        }
+
+        .settings-location-empty {
+          padding: 8px 12px;
+          color: var(--text-secondary);
+        }
+
+        .settings-location .btn-secondary {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 6px;
+        }
+
+        .settings-hint {
+          font-size: 12px;
+          color: var(--text-secondary);
+        }
+
+        .settings-error {
+          font-size: 12px;
+          color: var(--danger);
+        }
+
+        .settings-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+        }
+
+        .widget-confirm {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 13px;
+          color: var(--text-secondary);
+        }
+
+        .widget-confirm button {
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          color: var(--text-primary);
+          cursor: pointer;
+          padding: 4px 10px;
+          border-radius: 6px;
+          font-size: 12px;
+        }
+
+        .widget-confirm .widget-confirm-yes {
+          background: var(--danger);
+          border-color: var(--danger);
+          color: white;
+        }
+
+        .widget-desk-picker {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          padding: 10px 18px;
+          background: var(--bg-tertiary);
+          border-bottom: 1px solid var(--border);
+        }
+
+        .widget-desk-option {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 13px;
+        }
+
+        .widget-desk-option span {
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .widget-desk-option button {
+          background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          color: var(--text-primary);
+          cursor: pointer;
+          padding: 4px 10px;
+          border-radius: 6px;
+          font-size: 12px;
+        }
+
+        .widget-desk-option button:hover {
+          border-color: var(--accent);
+        }
+
+        .sr-only {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          padding: 0;
+          margin: -1px;
+          overflow: hidden;
+          clip: rect(0, 0, 0, 0);
+          white-space: nowrap;
+          border: 0;
+        }
+
+        .widget-header h3 {
+          flex: 1;
+          min-width: 0;
+          font-size: 15px;
+          font-weight: 600;
+          margin: 0;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .collection-picker select,
+        .collection-picker input {
+          max-width: 130px;
+          margin: 0 6px;
+          padding: 4px 8px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          font-size: 12px;
+        }
+
+        .collection-picker select {
+          cursor: pointer;
+        }
+
+        .collection-picker select:focus,
+        .collection-picker input:focus {
+          outline: none;
+          border-color: var(--accent);
+        }
+
+        .widget-controls {
+          display: flex;
+          gap: 4px;
+        }
+
+        .widget-controls button {
+          background: transparent;
+          border: none;
+          color: var(--text-secondary);
+          cursor: pointer;
+          padding: 6px;
+          border-radius: 6px;
+          display: flex;
+          align-items: center;
+          transition: all 0.2s;
+        }
+
+        .widget-controls button.active {
+          color: var(--accent);
+        }
+
+        .widget-controls button:hover {
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+        }
+
+        .widget-content {
+          flex: 1;
+          min-height: 0;
+          padding: 20px;
+          overflow-y: auto;
+        }
+
+        .widget-content::-webkit-scrollbar {
+          width: 8px;
+        }
+
+        .widget-content::-webkit-scrollbar-track {
+          background: transparent;
+        }
+
+        .widget-content::-webkit-scrollbar-thumb {
+          background: var(--border);
+          border-radius: 4px;
+        }
+
+        .widget-content::-webkit-scrollbar-thumb:hover {
+          background: var(--text-secondary);
+        }
+
+        .pomodoro-widget {
+          display: flex;
+          flex-direction: column;
+          gap: 24px;
+        }
+
+        .pomodoro-display {
+          text-align: center;
+        }
+
+        .pomodoro-task {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .pomodoro-task select,
+        .pomodoro-task input {
+          padding: 10px 12px;
+          border: 2px solid var(--border);
+          border-radius: 10px;
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          font-size: 14px;
+          transition: all 0.2s;
+        }
+
+        .pomodoro-task select {
+          cursor: pointer;
+        }
+
+        .pomodoro-task select:focus,
+        .pomodoro-task input:focus {
+          outline: none;
+          border-color: var(--accent);
+          box-shadow: 0 0 0 3px rgba(10, 132, 255, 0.1);
+        }
+
+        .pomodoro-count {
+          font-size: 12px;
+          color: var(--text-secondary);
+          font-weight: 500;
+        }
+
+        .note-date .pomodoro-count {
+          margin-left: 8px;
+        }
+
+        .pomodoro-timer {
+          width: 220px;
+          height: 220px;
+          margin: 0 auto;
+          border-radius: 50%;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          justify-content: center;
+          background: var(--bg-tertiary);
+          border: 5px solid var(--border);
+          transition: all 0.4s ease;
+          position: relative;
+          overflow: hidden;
+        }
+
+        .pomodoro-timer::before {
+          content: '';
+          position: absolute;
+          top: -50%;
+          left: -50%;
+          width: 200%;
+          height: 200%;
+          background: conic-gradient(from 0deg, transparent, var(--accent));
+          opacity: 0;
+          transition: opacity 0.4s;
+        }
+
+        .pomodoro-timer.active.work::before {
+          opacity: 0.1;
+          animation: rotate 3s linear infinite;
+        }
+
+        .pomodoro-timer.active.break::before {
+          background: conic-gradient(from 0deg, transparent, var(--success));
+          opacity: 0.1;
+          animation: rotate 3s linear infinite;
+        }
+
+        @keyframes rotate {
+          100% { transform: rotate(360deg); }
+        }
+
+        .pomodoro-timer.active.work {
+          border-color: var(--accent);
+          box-shadow: 0 0 40px rgba(10, 132, 255, 0.4);
+        }
+
+        .pomodoro-timer.active.break {
+          border-color: var(--success);
+          box-shadow: 0 0 40px rgba(50, 215, 75, 0.4);
+        }
+
+        .pomodoro-timer .time {
+          font-size: 52px;
+          font-weight: 700;
+          font-variant-numeric: tabular-nums;
+          z-index: 1;
+        }
+
+        .pomodoro-timer .label {
+          font-size: 15px;
+          color: var(--text-secondary);
+          margin-top: 8px;
+          font-weight: 500;
+          z-index: 1;
+        }
+
+        .pomodoro-cycle {
+          display: flex;
+          justify-content: center;
+          gap: 6px;
+          margin-top: 16px;
+        }
+
+        .pomodoro-cycle span {
+          width: 10px;
+          height: 10px;
+          border-radius: 50%;
+          background: var(--border);
+          transition: background 0.3s;
+        }
+
+        .pomodoro-cycle span.done {
+          background: var(--accent);
+        }
+
+        .sessions {
+          margin-top: 12px;
+          font-size: 15px;
+          color: var(--text-secondary);
+          font-weight: 500;
+        }
+
+        .pomodoro-controls {
+          display: flex;
+          gap: 12px;
+          justify-content: center;
+        }
+
+        .btn-primary {
+          background: var(--accent);
+          color: white;
+          border: none;
+          padding: 14px 28px;
+          border-radius: 12px;
+          font-size: 15px;
+          font-weight: 600;
+          cursor: pointer;
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          transition: all 0.3s;
+          box-shadow: 0 4px 12px rgba(10, 132, 255, 0.2);
+        }
+
+        .btn-primary:hover {
+          background: var(--accent-hover);
+          transform: translateY(-2px);
+          box-shadow: 0 6px 20px rgba(10, 132, 255, 0.3);
+        }
+
+        .btn-primary:active {
+          transform: translateY(0);
+        }
+
+        .btn-secondary {
+          background: var(--bg-tertiary);
+          color: var(--text-primary);
+          border: 1px solid var(--border);
+          padding: 14px 28px;
+          border-radius: 12px;
+          font-size: 15px;
+          font-weight: 600;
+          cursor: pointer;
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          transition: all 0.3s;
+        }
+
+        .btn-secondary:hover {
+          background: var(--bg-secondary);
+          border-color: var(--accent);
+          transform: translateY(-2px);
+        }
+
+        .btn-secondary:active {
+          transform: translateY(0);
+        }
+
+        .btn-secondary.active {
+          border-color: var(--accent);
+          color: var(--accent);
+        }
+
+        .btn-secondary:disabled {
+          opacity: 0.5;
+          cursor: default;
+          transform: none;
+        }
+
+        .pomodoro-stats {
+          display: flex;
+          flex-direction: column;
+          gap: 18px;
+          padding-top: 20px;
+          border-top: 1px solid var(--border);
+        }
+
+        .stats-cards {
+          display: grid;
+          grid-template-columns: repeat(2, 1fr);
+          gap: 10px;
+        }
+
+        .stats-card {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          padding: 12px;
+          background: var(--bg-tertiary);
+          border: 1px solid var(--border);
+          border-radius: 10px;
+        }
+
+        .stats-value {
+          font-size: 18px;
+          font-weight: 700;
+          font-variant-numeric: tabular-nums;
+        }
+
+        .stats-label {
+          font-size: 12px;
+          color: var(--text-secondary);
+          font-weight: 500;
+        }
+
+        .stats-section {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+        }
+
+        .stats-section h4 {
+          font-size: 13px;
+          font-weight: 600;
+          color: var(--text-secondary);
+        }
+
+        .stats-section-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .stats-range {
+          display: flex;
+          gap: 4px;
+        }
+
+        .stats-range button {
+          padding: 4px 10px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          background: transparent;
+          color: var(--text-secondary);
+          font-size: 12px;
+          cursor: pointer;
+        }
+
+        .stats-range button.active {
+          background: var(--accent);
+          border-color: var(--accent);
+          color: white;
+        }
+
+        .stats-bars {
+          display: flex;
+          align-items: flex-end;
+          gap: 6px;
+          height: 110px;
+        }
+
+        .stats-bar {
+          flex: 1;
+          height: 100%;
+          display: flex;
+          flex-direction: column;
+          justify-content: flex-end;
+          align-items: center;
+          gap: 4px;
+        }
+
+        .stats-bar-fill {
+          width: 100%;
+          min-height: 2px;
+          background: var(--accent);
+          border-radius: 4px 4px 0 0;
+          transition: height 0.3s;
+        }
+
+        .stats-bar span {
+          font-size: 10px;
+          color: var(--text-secondary);
+          white-space: nowrap;
+        }
+
+        .stats-heatmap {
+          display: grid;
+          grid-template-rows: repeat(7, 1fr);
+          grid-auto-flow: column;
+          gap: 3px;
+        }
 
-      <div className="widget-menu">
-        <button onClick={() => addWidget("pomodoro")} className="menu-item">
-          <Clock size={20} /> Pomodoro
-        </button>
-        <button onClick={() => addWidget("clima")} className="menu-item">
-          <Cloud size={20} /> Clima
-        </button>
-        <button onClick={() => addWidget("notas")} className="menu-item">
-          <FileText size={20} /> Notas
-        </button>
-        <button
-          onClick={() => addWidget("recordatorios")}
-          className="menu-item"
-        >
-          <Bell size={20} /> Recordatorios
-        </button>
-        <button onClick={() => addWidget("calculadora")} className="menu-item">
-          <Calculator size={20} /> Calculadora
-        </button>
-        <button onClick={() => addWidget("monedas")} className="menu-item">
-          <DollarSign size={20} /> Monedas
-        </button>
-        <button onClick={() => addWidget("reloj")} className="menu-item">
-          <Globe size={20} /> Reloj Mundial
-        </button>
-      </div>
+        .heatmap-cell {
+          aspect-ratio: 1;
+          border-radius: 2px;
+          background: var(--bg-tertiary);
+          border: 1px solid var(--border);
+        }
 
-      <style>{`
-        * {
-          margin: 0;
-          padding: 0;
-          box-sizing: border-box;
+        .heatmap-cell.level-1 { background: rgba(10, 132, 255, 0.25); }
+        .heatmap-cell.level-2 { background: rgba(10, 132, 255, 0.5); }
+        .heatmap-cell.level-3 { background: rgba(10, 132, 255, 0.75); }
+        .heatmap-cell.level-4 { background: var(--accent); }
+
+        .heatmap-cell.future {
+          visibility: hidden;
         }
 
-        :root[data-theme="light"] {
-          --bg-primary: #f0f2f5;
-          --bg-secondary: #ffffff;
-          --bg-tertiary: #f9f9f9;
-          --text-primary: #1d1d1f;
-          --text-secondary: #6e6e73;
-          --border: #d2d2d7;
-          --accent: #0071e3;
-          --accent-hover: #0077ed;
-          --success: #34c759;
-          --danger: #ff3b30;
-          --shadow: rgba(0, 0, 0, 0.1);
-          --widget-bg: rgba(255, 255, 255, 0.95);
-          --orb-1: rgba(59, 130, 246, 0.3);
-          --orb-2: rgba(139, 92, 246, 0.3);
-          --orb-3: rgba(236, 72, 153, 0.3);
+        .stats-tasks {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
         }
 
-        :root[data-theme="dark"] {
-          --bg-primary: #0a0a0f;
-          --bg-secondary: #1c1c1e;
-          --bg-tertiary: #2c2c2e;
-          --text-primary: #f5f5f7;
-          --text-secondary: #a1a1a6;
-          --border: #38383a;
-          --accent: #0a84ff;
-          --accent-hover: #409cff;
-          --success: #32d74b;
-          --danger: #ff453a;
-          --shadow: rgba(0, 0, 0, 0.5);
-          --widget-bg: rgba(28, 28, 30, 0.85);
-          --orb-1: rgba(59, 130, 246, 0.15);
-          --orb-2: rgba(139, 92, 246, 0.15);
-          --orb-3: rgba(236, 72, 153, 0.15);
+        .stats-task {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
         }
 
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-          background: var(--bg-primary);
-          color: var(--text-primary);
+        .stats-task-info {
+          display: flex;
+          justify-content: space-between;
+          gap: 12px;
+        }
+
+        .stats-task-label {
+          font-size: 13px;
+          font-weight: 600;
           overflow: hidden;
-          margin: 0;
-          padding: 0;
+          text-overflow: ellipsis;
+          white-space: nowrap;
         }
 
-        .betterdesk {
-          width: 100vw;
-          height: 100vh;
+        .stats-task-bar {
+          height: 6px;
+          border-radius: 3px;
+          background: var(--bg-tertiary);
+          overflow: hidden;
+        }
+
+        .stats-task-bar div {
+          height: 100%;
+          background: var(--accent);
+          border-radius: 3px;
+        }
+
+        .pomodoro-settings,
+        .weather-units {
           display: flex;
           flex-direction: column;
-          position: relative;
+          gap: 14px;
+          padding-top: 20px;
+          border-top: 1px solid var(--border);
         }
 
-        .background-animation {
-          position: fixed;
+        .pomodoro-settings label,
+        .weather-units label {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          font-size: 14px;
+          color: var(--text-secondary);
+          font-weight: 500;
+        }
+
+        .pomodoro-settings input[type="number"] {
+          width: 70px;
+          padding: 8px 12px;
+          border: 1px solid var(--border);
+          border-radius: 8px;
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          font-size: 14px;
+          font-weight: 600;
+          transition: border 0.2s;
+        }
+
+        .pomodoro-settings input[type="number"]:focus {
+          outline: none;
+          border-color: var(--accent);
+        }
+
+        .pomodoro-settings .checkbox {
+          cursor: pointer;
+        }
+
+        .pomodoro-settings input[type="checkbox"] {
+          margin-left: 8px;
+          cursor: pointer;
+          width: 18px;
+          height: 18px;
+        }
+
+        .weather-particles {
+          position: absolute;
           top: 0;
           left: 0;
           width: 100%;
           height: 100%;
-          z-index: 0;
+          pointer-events: none;
           overflow: hidden;
-          background: var(--bg-primary);
+          z-index: 1;
         }
 
-        .gradient-orb {
+        .particle {
           position: absolute;
-          border-radius: 50%;
-          filter: blur(80px);
-          opacity: 0.6;
-          animation: float-orb 20s ease-in-out infinite;
+          width: 2px;
+          background: linear-gradient(to bottom, rgba(174, 194, 224, 0.8), rgba(174, 194, 224, 0.2));
+          animation: fall linear infinite;
+          top: -10px;
         }
 
-        .orb-1 {
-          width: 500px;
-          height: 500px;
-          background: var(--orb-1);
-          top: -100px;
-          left: -100px;
-          animation-delay: 0s;
+        .particle.rain {
+          height: 20px;
         }
 
-        .orb-2 {
-          width: 400px;
-          height: 400px;
-          background: var(--orb-2);
-          top: 50%;
-          right: -100px;
-          animation-delay: 7s;
+        .particle.drizzle {
+          width: 1px;
+          height: 10px;
+          opacity: 0.7;
         }
 
-        .orb-3 {
-          width: 450px;
-          height: 450px;
-          background: var(--orb-3);
-          bottom: -150px;
-          left: 30%;
-          animation-delay: 14s;
+        .particle.hail {
+          width: 5px;
+          height: 5px;
+          border-radius: 50%;
+          background: rgba(235, 245, 255, 0.95);
+          box-shadow: 0 0 2px rgba(174, 194, 224, 0.9);
         }
 
-        .mouse-gradient {
+        .weather-fog {
           position: absolute;
-          width: 300px;
-          height: 300px;
-          background: radial-gradient(circle, var(--accent) 0%, transparent 70%);
-          border-radius: 50%;
-          pointer-events: none;
-          transform: translate(-50%, -50%);
-          opacity: 0.08;
-          transition: opacity 0.3s;
-          filter: blur(60px);
+          inset: -20% -50%;
+          background:
+            radial-gradient(ellipse at 30% 40%, rgba(200, 205, 215, 0.5), transparent 60%),
+            radial-gradient(ellipse at 70% 65%, rgba(200, 205, 215, 0.45), transparent 55%);
+          animation: fog-drift 18s ease-in-out infinite alternate;
         }
 
-        .grid-overlay {
+        .weather-fog-2 {
+          opacity: 0.7;
+        }
+
+        .weather-fog-3 {
+          opacity: 1;
+          background-color: rgba(200, 205, 215, 0.2);
+        }
+
+        @keyframes fog-drift {
+          from { transform: translateX(-10%); }
+          to { transform: translateX(10%); }
+        }
+
+        .weather-lightning {
           position: absolute;
-          top: 0;
-          left: 0;
-          width: 100%;
-          height: 100%;
-          background-image: 
-            linear-gradient(var(--border) 1px, transparent 1px),
-            linear-gradient(90deg, var(--border) 1px, transparent 1px);
-          background-size: 50px 50px;
-          opacity: 0.03;
+          inset: 0;
+          background: rgba(255, 255, 255, 0.6);
+          opacity: 0;
+          animation: lightning 7s linear infinite;
         }
 
-        @keyframes float-orb {
-          0%, 100% {
-            transform: translate(0, 0) scale(1);
+        @keyframes lightning {
+          0%, 88%, 91%, 94%, 100% { opacity: 0; }
+          89%, 93% { opacity: 1; }
+        }
+
+        @media (prefers-reduced-motion: reduce) {
+          .weather-lightning {
+            display: none;
           }
-          33% {
-            transform: translate(100px, -50px) scale(1.1);
+        }
+
+        .particle.snow {
+          width: 6px;
+          height: 6px;
+          background: white;
+          border-radius: 50%;
+          opacity: 0.8;
+          animation: snowfall linear infinite;
+        }
+
+        @keyframes fall {
+          to {
+            transform: translateY(calc(100vh + 20px));
           }
-          66% {
-            transform: translate(-50px, 100px) scale(0.9);
+        }
+
+        @keyframes snowfall {
+          to {
+            transform: translateY(calc(100vh + 20px)) rotate(360deg);
+            opacity: 0;
           }
         }
 
-        .topbar {
+        .clima-widget {
+          position: relative;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 20px;
+          padding: 30px 0;
+        }
+
+        .clima-widget > *:not(.weather-particles) {
+          position: relative;
+          z-index: 2;
+        }
+
+        .weather-icon {
+          font-size: 100px;
+          animation: float 4s ease-in-out infinite;
+          filter: drop-shadow(0 10px 20px var(--shadow));
+        }
+
+        @keyframes float {
+          0%, 100% { transform: translateY(0px); }
+          50% { transform: translateY(-15px); }
+        }
+
+        .temperature {
+          font-size: 56px;
+          font-weight: 700;
+          color: var(--text-primary);
+          font-variant-numeric: tabular-nums;
+        }
+
+        .weather-description {
+          margin-top: -14px;
+          font-size: 15px;
+          color: var(--text-primary);
+        }
+
+        .weather-updated {
+          margin-top: -12px;
           display: flex;
           align-items: center;
-          justify-content: space-between;
-          padding: 12px 24px;
-          background: var(--bg-secondary);
-          border-bottom: 1px solid var(--border);
-          backdrop-filter: blur(20px);
-          z-index: 100;
-          position: relative;
+          gap: 6px;
+          font-size: 12px;
+          color: var(--text-secondary);
         }
 
-        .logo {
-          font-size: 18px;
-          font-weight: 700;
-          background: linear-gradient(135deg, var(--accent), var(--success));
-          -webkit-background-clip: text;
-          -webkit-text-fill-color: transparent;
-          background-clip: text;
+        .weather-updated.stale {
+          color: var(--warning);
         }
 
-        .clock {
-          font-size: 14px;
+        .weather-updated button {
+          border: none;
+          background: none;
+          color: var(--accent);
+          font-size: 12px;
+          cursor: pointer;
+          padding: 0;
+        }
+
+        .error .btn-secondary {
+          display: block;
+          margin: 12px auto 0;
+        }
+
+        .location {
+          font-size: 16px;
+          color: var(--text-secondary);
           font-weight: 500;
+        }
+
+        .weather-details {
+          display: grid;
+          grid-auto-flow: column;
+          grid-auto-columns: 1fr;
+          gap: 8px;
+          width: 100%;
+          text-align: center;
+        }
+
+        .weather-details dt {
+          font-size: 11px;
           color: var(--text-secondary);
-          text-transform: capitalize;
         }
 
-        .controls {
+        .weather-details dd {
+          font-size: 15px;
+          font-weight: 600;
+          color: var(--text-primary);
+          font-variant-numeric: tabular-nums;
+        }
+
+        .weather-actions {
           display: flex;
           gap: 8px;
         }
 
-        .btn-icon {
-          background: transparent;
-          border: none;
-          color: var(--text-primary);
-          cursor: pointer;
-          padding: 8px;
+        .weather-units {
+          width: 100%;
+        }
+
+        .weather-units select {
+          padding: 8px 12px;
+          border: 1px solid var(--border);
           border-radius: 8px;
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          font-size: 14px;
+          font-weight: 600;
+        }
+
+        .forecast-toggle {
           display: flex;
           align-items: center;
-          justify-content: center;
-          transition: all 0.2s;
+          gap: 6px;
         }
 
-        .btn-icon:hover {
-          background: var(--bg-tertiary);
-          transform: scale(1.05);
+        .weather-forecast {
+          display: flex;
+          flex-direction: column;
+          gap: 18px;
+          width: 100%;
+          padding-top: 18px;
+          border-top: 1px solid var(--border);
         }
 
-        .btn-icon:active {
-          transform: scale(0.95);
+        .weather-sparkline svg {
+          display: block;
+          width: 100%;
+          height: auto;
         }
 
-        .widgets-container {
-          flex: 1;
-          position: relative;
-          overflow: hidden;
-          z-index: 1;
+        .sparkline-precipitation {
+          fill: var(--accent);
+          opacity: 0.25;
         }
 
-        .welcome-message {
-          position: absolute;
-          top: 50%;
-          left: 50%;
-          transform: translate(-50%, -50%);
-          text-align: center;
-          color: var(--text-secondary);
-          z-index: 2;
+        .sparkline-temperature {
+          fill: none;
+          stroke: var(--accent);
+          stroke-width: 2;
+          stroke-linejoin: round;
+          stroke-linecap: round;
         }
 
-        .welcome-message h2 {
-          font-size: 32px;
-          margin-bottom: 12px;
-          color: var(--text-primary);
+        .sparkline-hours {
+          position: relative;
+          height: 16px;
+          margin-top: 4px;
+          font-size: 11px;
+          color: var(--text-secondary);
         }
 
-        .widget {
+        .sparkline-hours span {
           position: absolute;
-          background: var(--widget-bg);
-          backdrop-filter: blur(30px);
-          border-radius: 16px;
-          box-shadow: 0 8px 32px var(--shadow);
-          border: 1px solid var(--border);
-          overflow: hidden;
-          transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-          z-index: 10;
+          transform: translateX(-50%);
+          white-space: nowrap;
         }
 
-        .widget.dragging {
-          cursor: move;
-          z-index: 1000;
-          box-shadow: 0 20px 60px var(--shadow);
-          transform: scale(1.02);
+        .sparkline-hours span:first-child {
+          transform: none;
         }
 
-        .widget-open {
-          animation: widgetOpen 0.4s cubic-bezier(0.34, 1.56, 0.64, 1);
+        .sparkline-legend {
+          display: flex;
+          justify-content: space-between;
+          font-size: 12px;
+          color: var(--text-secondary);
         }
 
-        @keyframes widgetOpen {
-          0% {
-            opacity: 0;
-            transform: scale(0.8) translateY(-20px);
-          }
-          100% {
-            opacity: 1;
-            transform: scale(1) translateY(0);
-          }
+        .forecast-days {
+          display: flex;
+          flex-direction: column;
+          list-style: none;
         }
 
-        .widget-header {
-          padding: 14px 18px;
-          background: var(--bg-tertiary);
-          border-bottom: 1px solid var(--border);
-          display: flex;
-          justify-content: space-between;
+        .forecast-days li {
+          display: grid;
+          grid-template-columns: 3.5em 2em 1fr 2.5em 3.5em;
           align-items: center;
-          cursor: move;
-          user-select: none;
+          gap: 6px;
+          padding: 6px 0;
+          border-bottom: 1px solid var(--border);
+          font-size: 13px;
+          font-variant-numeric: tabular-nums;
         }
 
-        .widget-header h3 {
-          font-size: 15px;
-          font-weight: 600;
-          margin: 0;
+        .forecast-days li:last-child {
+          border-bottom: none;
         }
 
-        .widget-controls {
-          display: flex;
-          gap: 4px;
+        .forecast-day {
+          text-transform: capitalize;
+          color: var(--text-primary);
         }
 
-        .widget-controls button {
-          background: transparent;
-          border: none;
-          color: var(--text-secondary);
-          cursor: pointer;
-          padding: 6px;
-          border-radius: 6px;
-          display: flex;
-          align-items: center;
-          transition: all 0.2s;
+        .forecast-icon {
+          font-size: 18px;
         }
 
-        .widget-controls button:hover {
-          background: var(--bg-secondary);
+        .forecast-max {
+          text-align: right;
+          font-weight: 600;
           color: var(--text-primary);
         }
 
-        .widget-content {
-          padding: 20px;
-          max-height: 550px;
-          overflow-y: auto;
+        .forecast-min {
+          text-align: right;
+          color: var(--text-secondary);
         }
 
-        .widget-content::-webkit-scrollbar {
-          width: 8px;
+        .forecast-precipitation {
+          grid-column: 5;
+          display: flex;
+          flex-direction: column;
+          align-items: flex-end;
+          font-size: 11px;
+          color: var(--accent);
         }
 
-        .widget-content::-webkit-scrollbar-track {
-          background: transparent;
+        .forecast-precipitation small {
+          font-size: 10px;
+          color: var(--text-secondary);
+          white-space: nowrap;
         }
 
-        .widget-content::-webkit-scrollbar-thumb {
-          background: var(--border);
-          border-radius: 4px;
+        .loading, .error {
+          padding: 50px 20px;
+          text-align: center;
+          color: var(--text-secondary);
+          font-size: 15px;
         }
 
-        .widget-content::-webkit-scrollbar-thumb:hover {
-          background: var(--text-secondary);
+        .error {
+          color: var(--danger);
         }
 
-        .pomodoro-widget {
+        .notas-widget {
           display: flex;
           flex-direction: column;
-          gap: 24px;
-        }
-
-        .pomodoro-display {
-          text-align: center;
+          gap: 18px;
         }
 
-        .pomodoro-timer {
-          width: 220px;
-          height: 220px;
-          margin: 0 auto;
-          border-radius: 50%;
+        .note-input {
           display: flex;
           flex-direction: column;
-          align-items: center;
-          justify-content: center;
-          background: var(--bg-tertiary);
-          border: 5px solid var(--border);
-          transition: all 0.4s ease;
-          position: relative;
-          overflow: hidden;
+          gap: 10px;
         }
 
-        .pomodoro-timer::before {
-          content: '';
-          position: absolute;
-          top: -50%;
-          left: -50%;
-          width: 200%;
-          height: 200%;
-          background: conic-gradient(from 0deg, transparent, var(--accent));
-          opacity: 0;
-          transition: opacity 0.4s;
+        .note-input textarea {
+          width: 100%;
+          padding: 14px;
+          border: 2px solid var(--border);
+          border-radius: 10px;
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          font-family: inherit;
+          font-size: 14px;
+          line-height: 1.6;
+          resize: vertical;
+          transition: all 0.2s;
         }
 
-        .pomodoro-timer.active.work::before {
-          opacity: 0.1;
-          animation: rotate 3s linear infinite;
+        .note-input textarea:focus {
+          outline: none;
+          border-color: var(--accent);
+          box-shadow: 0 0 0 3px rgba(10, 132, 255, 0.1);
+        }
+
+        .notes-list {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+          max-height: 420px;
+          overflow-y: auto;
+        }
+
+        .empty-state {
+          padding: 40px 20px;
+          text-align: center;
+          color: var(--text-secondary);
+          font-size: 14px;
         }
 
-        .pomodoro-timer.active.break::before {
-          background: conic-gradient(from 0deg, transparent, var(--success));
-          opacity: 0.1;
-          animation: rotate 3s linear infinite;
+        .note-item {
+          padding: 14px;
+          background: var(--bg-tertiary);
+          border-radius: 10px;
+          border: 1px solid var(--border);
+          transition: all 0.3s;
+          animation: slideIn 0.3s ease;
         }
 
-        @keyframes rotate {
-          100% { transform: rotate(360deg); }
+        @keyframes slideIn {
+          from {
+            opacity: 0;
+            transform: translateX(-10px);
+          }
+          to {
+            opacity: 1;
+            transform: translateX(0);
+          }
         }
 
-        .pomodoro-timer.active.work {
+        .note-item:hover {
           border-color: var(--accent);
-          box-shadow: 0 0 40px rgba(10, 132, 255, 0.4);
+          box-shadow: 0 4px 12px var(--shadow);
+          transform: translateY(-2px);
         }
 
-        .pomodoro-timer.active.break {
-          border-color: var(--success);
-          box-shadow: 0 0 40px rgba(50, 215, 75, 0.4);
+        .note-item p {
+          font-size: 14px;
+          line-height: 1.6;
+          margin-bottom: 10px;
+          word-wrap: break-word;
+          color: var(--text-primary);
         }
 
-        .pomodoro-timer .time {
-          font-size: 52px;
-          font-weight: 700;
-          font-variant-numeric: tabular-nums;
-          z-index: 1;
+        .note-footer {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
         }
 
-        .pomodoro-timer .label {
-          font-size: 15px;
+        .note-date {
+          font-size: 12px;
           color: var(--text-secondary);
-          margin-top: 8px;
           font-weight: 500;
-          z-index: 1;
         }
 
-        .sessions {
-          margin-top: 16px;
-          font-size: 15px;
-          color: var(--text-secondary);
-          font-weight: 500;
+        .recordatorios-widget {
+          display: flex;
+          flex-direction: column;
+          gap: 18px;
         }
 
-        .pomodoro-controls {
+        .reminder-input {
           display: flex;
-          gap: 12px;
-          justify-content: center;
+          gap: 8px;
         }
 
-        .btn-primary {
-          background: var(--accent);
-          color: white;
-          border: none;
-          padding: 14px 28px;
-          border-radius: 12px;
-          font-size: 15px;
-          font-weight: 600;
-          cursor: pointer;
+        .reminder-input input[type="text"] {
+          flex: 1;
+          padding: 12px 14px;
+          border: 2px solid var(--border);
+          border-radius: 10px;
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          font-size: 14px;
+          transition: all 0.2s;
+        }
+
+        .reminder-toolbar {
           display: flex;
-          align-items: center;
-          gap: 10px;
-          transition: all 0.3s;
-          box-shadow: 0 4px 12px rgba(10, 132, 255, 0.2);
+          justify-content: flex-end;
+          gap: 4px;
         }
 
-        .btn-primary:hover {
-          background: var(--accent-hover);
-          transform: translateY(-2px);
-          box-shadow: 0 6px 20px rgba(10, 132, 255, 0.3);
+        .reminder-toolbar .btn-icon {
+          gap: 6px;
+          font-size: 12px;
+          font-weight: 600;
+          color: var(--text-secondary);
         }
 
-        .btn-primary:active {
-          transform: translateY(0);
+        .reminder-toolbar .btn-icon:disabled {
+          opacity: 0.4;
+          cursor: default;
         }
 
-        .btn-secondary {
-          background: var(--bg-tertiary);
-          color: var(--text-primary);
-          border: 1px solid var(--border);
-          padding: 14px 28px;
-          border-radius: 12px;
-          font-size: 15px;
-          font-weight: 600;
-          cursor: pointer;
+        .reminder-form {
           display: flex;
-          align-items: center;
-          gap: 10px;
-          transition: all 0.3s;
+          flex-direction: column;
+          gap: 8px;
         }
 
-        .btn-secondary:hover {
-          background: var(--bg-secondary);
-          border-color: var(--accent);
-          transform: translateY(-2px);
+        .reminder-options {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 8px;
         }
 
-        .btn-secondary:active {
-          transform: translateY(0);
+        .reminder-options input,
+        .reminder-options select {
+          padding: 8px 10px;
+          border: 2px solid var(--border);
+          border-radius: 10px;
+          background: var(--bg-secondary);
+          color: var(--text-primary);
+          font-size: 13px;
+          transition: all 0.2s;
         }
 
-        .pomodoro-settings {
-          display: flex;
-          flex-direction: column;
-          gap: 14px;
-          padding-top: 20px;
-          border-top: 1px solid var(--border);
+        .reminder-options select {
+          flex: 1;
+          cursor: pointer;
         }
 
-        .pomodoro-settings label {
+        .reminder-options label {
           display: flex;
           align-items: center;
-          justify-content: space-between;
-          font-size: 14px;
+          gap: 6px;
+          font-size: 13px;
           color: var(--text-secondary);
-          font-weight: 500;
         }
 
-        .pomodoro-settings input[type="number"] {
-          width: 70px;
-          padding: 8px 12px;
-          border: 1px solid var(--border);
-          border-radius: 8px;
-          background: var(--bg-secondary);
-          color: var(--text-primary);
-          font-size: 14px;
-          font-weight: 600;
-          transition: border 0.2s;
+        .reminder-options input[type="number"] {
+          width: 64px;
         }
 
-        .pomodoro-settings input[type="number"]:focus {
+        .reminder-input input:focus,
+        .reminder-options input:focus,
+        .reminder-options select:focus {
           outline: none;
           border-color: var(--accent);
+          box-shadow: 0 0 0 3px rgba(10, 132, 255, 0.1);
         }
 
-        .pomodoro-settings .checkbox {
-          cursor: pointer;
+        .weekday-picker {
+          display: flex;
+          gap: 4px;
         }
 
-        .pomodoro-settings input[type="checkbox"] {
-          margin-left: 8px;
+        .weekday-picker button {
+          width: 30px;
+          height: 30px;
+          border-radius: 50%;
+          border: 1px solid var(--border);
+          background: var(--bg-tertiary);
+          color: var(--text-secondary);
+          font-size: 12px;
+          font-weight: 600;
           cursor: pointer;
-          width: 18px;
-          height: 18px;
+          transition: all 0.2s;
         }
 
-        .weather-particles {
-          position: absolute;
-          top: 0;
-          left: 0;
-          width: 100%;
-          height: 100%;
-          pointer-events: none;
-          overflow: hidden;
-          z-index: 1;
+        .weekday-picker button.active {
+          background: var(--accent);
+          border-color: var(--accent);
+          color: white;
         }
 
-        .particle {
-          position: absolute;
-          width: 2px;
-          background: linear-gradient(to bottom, rgba(174, 194, 224, 0.8), rgba(174, 194, 224, 0.2));
-          animation: fall linear infinite;
-          top: -10px;
+        .reminder-group {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
         }
 
-        .particle.rain {
-          height: 20px;
+        .reminder-group-title {
+          font-size: 12px;
+          font-weight: 700;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          color: var(--text-secondary);
         }
 
-        .particle.snow {
-          width: 6px;
-          height: 6px;
-          background: white;
-          border-radius: 50%;
-          opacity: 0.8;
-          animation: snowfall linear infinite;
+        .reminder-group-title span {
+          margin-left: 4px;
+          font-weight: 500;
         }
 
-        @keyframes fall {
-          to {
-            transform: translateY(calc(100vh + 20px));
-          }
+        .reminder-group.overdue .reminder-group-title {
+          color: var(--danger);
         }
 
-        @keyframes snowfall {
-          to {
-            transform: translateY(calc(100vh + 20px)) rotate(360deg);
-            opacity: 0;
-          }
+        .reminder-recurrence {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 12px;
+          color: var(--accent);
         }
 
-        .clima-widget {
-          position: relative;
+        .reminders-list {
           display: flex;
           flex-direction: column;
+          gap: 18px;
+          max-height: 450px;
+          overflow-y: auto;
+        }
+
+        .reminder-item {
+          display: flex;
           align-items: center;
-          gap: 20px;
-          padding: 30px 0;
+          gap: 12px;
+          padding: 14px;
+          background: var(--bg-tertiary);
+          border-radius: 10px;
+          border: 1px solid var(--border);
+          transition: all 0.3s;
+          animation: slideIn 0.3s ease;
         }
 
-        .clima-widget > *:not(.weather-particles) {
-          position: relative;
-          z-index: 2;
+        .reminder-item:hover {
+          border-color: var(--accent);
+          transform: translateY(-2px);
         }
 
-        .weather-icon {
-          font-size: 100px;
-          animation: float 4s ease-in-out infinite;
-          filter: drop-shadow(0 10px 20px var(--shadow));
+        .reminder-item.completed {
+          opacity: 0.5;
+        }
+
+        .reminder-item.completed .reminder-content span:first-child {
+          text-decoration: line-through;
+        }
+
+        .reminder-item input[type="checkbox"] {
+          width: 20px;
+          height: 20px;
+          cursor: pointer;
+          accent-color: var(--accent);
         }
 
-        @keyframes float {
-          0%, 100% { transform: translateY(0px); }
-          50% { transform: translateY(-15px); }
+        .reminder-content {
+          flex: 1;
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
         }
 
-        .temperature {
-          font-size: 56px;
-          font-weight: 700;
+        .reminder-content span:first-child {
+          font-size: 14px;
           color: var(--text-primary);
-          font-variant-numeric: tabular-nums;
+          font-weight: 500;
         }
 
-        .location {
-          font-size: 16px;
+        .reminder-time {
+          font-size: 13px;
           color: var(--text-secondary);
           font-weight: 500;
+          display: flex;
+          align-items: center;
+          gap: 8px;
         }
 
-        .loading, .error {
-          padding: 50px 20px;
-          text-align: center;
-          color: var(--text-secondary);
-          font-size: 15px;
+        .reminder-item.overdue {
+          border-color: var(--danger);
         }
 
-        .error {
+        .reminder-badge {
+          font-size: 11px;
+          font-weight: 600;
+          padding: 2px 8px;
+          border-radius: 999px;
+          background: var(--bg-secondary);
+        }
+
+        .reminder-badge.overdue {
           color: var(--danger);
         }
 
-        .notas-widget {
-          display: flex;
-          flex-direction: column;
-          gap: 18px;
+        .reminder-badge.snoozed {
+          color: var(--accent);
         }
 
-        .note-input {
+        .dialog-backdrop {
+          position: fixed;
+          inset: 0;
+          z-index: 1200;
           display: flex;
-          flex-direction: column;
-          gap: 10px;
+          align-items: center;
+          justify-content: center;
+          padding: 16px;
+          background: rgba(0, 0, 0, 0.4);
+          backdrop-filter: blur(4px);
         }
 
-        .note-input textarea {
-          width: 100%;
-          padding: 14px;
-          border: 2px solid var(--border);
-          border-radius: 10px;
+        .dialog {
+          width: min(520px, 100%);
+          max-height: 100%;
+          overflow-y: auto;
           background: var(--bg-secondary);
+          border: 1px solid var(--border);
+          border-radius: 16px;
+          box-shadow: 0 8px 32px var(--shadow);
           color: var(--text-primary);
-          font-family: inherit;
-          font-size: 14px;
-          line-height: 1.6;
-          resize: vertical;
-          transition: all 0.2s;
         }
 
-        .note-input textarea:focus {
-          outline: none;
-          border-color: var(--accent);
-          box-shadow: 0 0 0 3px rgba(10, 132, 255, 0.1);
+        .dialog-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          padding: 16px 20px;
+          border-bottom: 1px solid var(--border);
         }
 
-        .notes-list {
+        .dialog-header h2 {
+          font-size: 17px;
+        }
+
+        .dialog-section {
           display: flex;
           flex-direction: column;
-          gap: 10px;
-          max-height: 420px;
-          overflow-y: auto;
+          align-items: flex-start;
+          gap: 12px;
+          padding: 16px 20px;
+          font-size: 14px;
         }
 
-        .empty-state {
-          padding: 40px 20px;
-          text-align: center;
+        .dialog-section + .dialog-section {
+          border-top: 1px solid var(--border);
+        }
+
+        .dialog-section h3 {
+          font-size: 15px;
+        }
+
+        .dialog-section p {
           color: var(--text-secondary);
-          font-size: 14px;
+          line-height: 1.4;
         }
 
-        .note-item {
-          padding: 14px;
-          background: var(--bg-tertiary);
-          border-radius: 10px;
-          border: 1px solid var(--border);
-          transition: all 0.3s;
-          animation: slideIn 0.3s ease;
+        .backup-meta {
+          font-size: 13px;
         }
 
-        @keyframes slideIn {
-          from {
-            opacity: 0;
-            transform: translateX(-10px);
-          }
-          to {
-            opacity: 1;
-            transform: translateX(0);
-          }
+        .backup-modes {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          width: 100%;
         }
 
-        .note-item:hover {
-          border-color: var(--accent);
-          box-shadow: 0 4px 12px var(--shadow);
-          transform: translateY(-2px);
+        .backup-modes label {
+          display: flex;
+          align-items: flex-start;
+          gap: 10px;
+          padding: 10px 12px;
+          border: 1px solid var(--border);
+          border-radius: 10px;
+          cursor: pointer;
+          font-size: 13px;
+          color: var(--text-secondary);
         }
 
-        .note-item p {
-          font-size: 14px;
-          line-height: 1.6;
-          margin-bottom: 10px;
-          word-wrap: break-word;
+        .backup-modes strong {
+          display: block;
           color: var(--text-primary);
         }
 
-        .note-footer {
+        .backup-changes {
+          width: 100%;
+          list-style: none;
+          font-size: 13px;
+        }
+
+        .backup-changes li {
           display: flex;
           justify-content: space-between;
-          align-items: center;
+          gap: 12px;
+          padding: 6px 0;
+          border-bottom: 1px solid var(--border);
         }
 
-        .note-date {
-          font-size: 12px;
+        .backup-changes li span:last-child {
           color: var(--text-secondary);
-          font-weight: 500;
         }
 
-        .recordatorios-widget {
-          display: flex;
-          flex-direction: column;
-          gap: 18px;
+        .dialog-section .backup-warning {
+          font-size: 13px;
+          color: var(--warning);
         }
 
-        .reminder-input {
-          display: flex;
-          gap: 8px;
+        .dialog-section .settings-error {
+          color: var(--danger);
         }
 
-        .reminder-input input[type="text"] {
-          flex: 1;
-          padding: 12px 14px;
-          border: 2px solid var(--border);
-          border-radius: 10px;
+        .storage-notice {
+          position: fixed;
+          top: 72px;
+          left: 50%;
+          transform: translateX(-50%);
+          z-index: 1100;
+          display: flex;
+          align-items: flex-start;
+          gap: 12px;
+          width: min(640px, calc(100% - 32px));
+          padding: 14px 16px;
           background: var(--bg-secondary);
+          border: 1px solid var(--warning);
+          border-left-width: 4px;
+          border-radius: 12px;
+          box-shadow: 0 8px 32px var(--shadow);
           color: var(--text-primary);
-          font-size: 14px;
-          transition: all 0.2s;
         }
 
-        .reminder-input input[type="time"] {
-          padding: 12px 14px;
-          border: 2px solid var(--border);
-          border-radius: 10px;
-          background: var(--bg-secondary);
-          color: var(--text-primary);
-          font-size: 14px;
-          transition: all 0.2s;
+        .storage-notice > svg {
+          flex-shrink: 0;
+          color: var(--warning);
         }
 
-        .reminder-input input:focus {
-          outline: none;
-          border-color: var(--accent);
-          box-shadow: 0 0 0 3px rgba(10, 132, 255, 0.1);
+        .storage-notice-body {
+          flex: 1;
+          font-size: 13px;
         }
 
-        .reminders-list {
+        .storage-notice-body p {
+          margin-top: 4px;
+          color: var(--text-secondary);
+          line-height: 1.4;
+        }
+
+        .storage-notice-actions {
           display: flex;
           flex-direction: column;
-          gap: 10px;
-          max-height: 450px;
-          overflow-y: auto;
+          gap: 6px;
         }
 
-        .reminder-item {
+        .storage-notice-actions button {
           display: flex;
           align-items: center;
-          gap: 12px;
-          padding: 14px;
+          justify-content: center;
+          gap: 4px;
           background: var(--bg-tertiary);
-          border-radius: 10px;
           border: 1px solid var(--border);
-          transition: all 0.3s;
-          animation: slideIn 0.3s ease;
+          color: var(--text-primary);
+          cursor: pointer;
+          padding: 6px 10px;
+          border-radius: 6px;
+          font-size: 12px;
+          white-space: nowrap;
         }
 
-        .reminder-item:hover {
+        .storage-notice-actions button:hover {
           border-color: var(--accent);
-          transform: translateY(-2px);
         }
 
-        .reminder-item.completed {
-          opacity: 0.5;
+        .toast-container {
+          position: fixed;
+          top: 72px;
+          right: 24px;
+          display: flex;
+          flex-direction: column;
+          gap: 12px;
+          width: 340px;
+          max-width: calc(100% - 48px);
+          z-index: 2000;
         }
 
-        .reminder-item.completed .reminder-content span:first-child {
-          text-decoration: line-through;
+        .toast {
+          padding: 14px 16px;
+          background: var(--widget-bg);
+          backdrop-filter: blur(30px);
+          border: 1px solid var(--border);
+          border-left: 4px solid var(--accent);
+          border-radius: 12px;
+          box-shadow: 0 10px 40px var(--shadow);
+          animation: slideIn 0.3s ease;
         }
 
-        .reminder-item input[type="checkbox"] {
-          width: 20px;
-          height: 20px;
-          cursor: pointer;
-          accent-color: var(--accent);
+        .toast.error {
+          border-left-color: var(--danger);
         }
 
-        .reminder-content {
-          flex: 1;
+        .toast-header {
           display: flex;
-          flex-direction: column;
-          gap: 4px;
+          align-items: center;
+          gap: 10px;
+          color: var(--accent);
         }
 
-        .reminder-content span:first-child {
+        .toast-header strong {
+          flex: 1;
           font-size: 14px;
           color: var(--text-primary);
-          font-weight: 500;
+          word-wrap: break-word;
         }
 
-        .reminder-time {
+        .toast-body {
+          margin-top: 6px;
           font-size: 13px;
           color: var(--text-secondary);
-          font-weight: 500;
+        }
+
+        .toast-actions {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          margin-top: 12px;
+        }
+
+        .toast-btn {
+          padding: 6px 12px;
+          border: 1px solid var(--border);
+          border-radius: 8px;
+          background: var(--bg-tertiary);
+          color: var(--text-primary);
+          font-size: 13px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .toast-btn:hover {
+          border-color: var(--accent);
+        }
+
+        .toast-btn.primary {
+          margin-left: auto;
+          background: var(--accent);
+          border-color: var(--accent);
+          color: white;
         }
 
         .calculadora-widget {
@@ -2228,6 +8850,15 @@ const BetterDesk = () => {
             max-width: 400px;
           }
 
+          .resize-e,
+          .resize-w,
+          .resize-ne,
+          .resize-nw,
+          .resize-se,
+          .resize-sw {
+            display: none;
+          }
+
           .widget-menu {
             flex-wrap: wrap;
             max-width: calc(100% - 40px);
@@ -2321,14 +8952,30 @@ const BetterDesk = () => {
         }
 
         @media (hover: none) {
-          .widget-header {
-            cursor: default;
-          }
-          
           .menu-item:hover {
             transform: none;
           }
         }
+
+        @media (pointer: coarse) {
+          .resize-n,
+          .resize-s {
+            height: 20px;
+          }
+
+          .resize-e,
+          .resize-w {
+            width: 20px;
+          }
+
+          .resize-ne,
+          .resize-nw,
+          .resize-se,
+          .resize-sw {
+            width: 28px;
+            height: 28px;
+          }
+        }
       `}</style>
     </div>
   );
@@ -2336,8 +8983,10 @@ const BetterDesk = () => {
 
 export default function App() {
   return (
-    <AppProvider>
-      <BetterDesk />
-    </AppProvider>
+    <Suspense fallback={null}>
+      <AppProvider>
+        <BetterDesk />
+      </AppProvider>
+    </Suspense>
   );
 }
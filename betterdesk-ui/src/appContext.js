@@ -0,0 +1,18 @@
+// ==================== CONTEXT ====================
+// Estado y acciones de la app, que da `AppProvider` (App.jsx). Los widgets
+// lo leen con `useApp`, también los de `src/widgets/`:
+//
+//   const { state, addNote } = useApp();
+//
+// `state` trae, entre otros, `notes`, `reminders`, `collections`,
+// `pomodoroHistory` y `weatherUnits`; las acciones son las funciones que
+// acompañan a `state` (`addNote`, `addReminder`, `showToast`...).
+import { createContext, useContext } from "react";
+
+export const AppContext = createContext(null);
+
+export const useApp = () => {
+  const context = useContext(AppContext);
+  if (!context) throw new Error("useApp must be used within AppProvider");
+  return context;
+};
@@ -0,0 +1,99 @@
+// ==================== GEOCODING ====================
+// Convierte nombres de lugares en coordenadas (y coordenadas en nombres) para
+// elegir la ubicación del clima. El proveedor se puede sustituir, por ejemplo
+// por otro servicio o por uno simulado durante las pruebas:
+//
+//   setGeocodingProvider({
+//     id: "mi-servicio",
+//     search: async (query, { signal, language }) => [
+//       { name, region, country, latitude, longitude },
+//     ],
+//     reverse: async (latitude, longitude, { signal, language }) => ({
+//       name,
+//       region,
+//       country,
+//     }),
+//   });
+//
+// `reverse` es opcional: sin él, la ubicación del navegador se nombra por
+// sus coordenadas. `region` y `country` también lo son.
+
+const SEARCH_LIMIT = 8;
+
+const getLanguage = () => navigator.language?.split("-")[0] || "es";
+
+const fetchJson = async (url, signal) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`El servicio de búsqueda respondió ${response.status}`);
+  }
+  return response.json();
+};
+
+// Búsqueda con Open-Meteo, el mismo servicio que da el clima, y nombre
+// inverso con BigDataCloud; ninguno necesita clave.
+export const defaultGeocodingProvider = {
+  id: "open-meteo",
+  search: async (query, { signal, language }) => {
+    const params = new URLSearchParams({
+      name: query,
+      count: String(SEARCH_LIMIT),
+      language,
+      format: "json",
+    });
+    const data = await fetchJson(
+      `https://geocoding-api.open-meteo.com/v1/search?${params}`,
+      signal
+    );
+    return (data.results ?? []).map((result) => ({
+      name: result.name,
+      region: result.admin1,
+      country: result.country_code,
+      latitude: result.latitude,
+      longitude: result.longitude,
+    }));
+  },
+  reverse: async (latitude, longitude, { signal, language }) => {
+    const params = new URLSearchParams({
+      latitude: String(latitude),
+      longitude: String(longitude),
+      localityLanguage: language,
+    });
+    const data = await fetchJson(
+      `https://api.bigdatacloud.net/data/reverse-geocode-client?${params}`,
+      signal
+    );
+    const name = data.city || data.locality;
+    return name
+      ? {
+          name,
+          region: data.principalSubdivision,
+          country: data.countryCode,
+        }
+      : null;
+  },
+};
+
+let provider = defaultGeocodingProvider;
+
+export const setGeocodingProvider = (next) => {
+  if (typeof next?.search !== "function") {
+    throw new Error("El proveedor de geocodificación necesita `search`");
+  }
+  provider = next;
+};
+
+export const getGeocodingProvider = () => provider;
+
+export const searchPlaces = (query, { signal } = {}) =>
+  provider.search(query, { signal, language: getLanguage() });
+
+// Devuelve null si el proveedor no sabe nombrar el lugar.
+export const reverseGeocode = async (latitude, longitude, { signal } = {}) =>
+  provider.reverse
+    ? provider.reverse(latitude, longitude, { signal, language: getLanguage() })
+    : null;
+
+// "San Salvador, SV", como se muestra en el widget.
+export const formatPlaceName = (place) =>
+  [place.name, place.country].filter(Boolean).join(", ");
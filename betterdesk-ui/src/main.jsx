@@ -3,6 +3,10 @@ import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
 import "./index.css"; // <-- Esta línea es importante
 
+// Los widgets de `src/widgets/` se registran solos al importarse; App.jsx ya
+// registró los incluidos, así que aparecen después en el menú.
+import.meta.glob("./widgets/*.{js,jsx}", { eager: true });
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <App />
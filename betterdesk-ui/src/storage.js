@@ -0,0 +1,482 @@
+// ==================== STORAGE ====================
+// Los datos viven en localStorage bajo claves `betterdesk-*`, salvo las
+// listas que crecen con el uso (ver `RECORD_STORES`), que pasan a IndexedDB
+// la primera vez que se abre la base de datos. Al arrancar, `migrateStorage`
+// lleva los datos guardados a la versión actual del esquema y valida cada
+// clave antes de que la app los lea; `loadRecordStores` hace lo mismo con las
+// listas de IndexedDB:
+//
+//   - Las migraciones se aplican en orden, cada una sobre el resultado de la
+//     anterior. Si alguna falla no se escribe nada y los datos quedan como
+//     estaban.
+//   - Antes de guardar datos migrados se copia el contenido original en
+//     `betterdesk-migration-backup`.
+//   - Lo que no es JSON, no cumple el esquema o repite un id se aparta a
+//     `betterdesk-quarantine` en lugar de descartarse.
+//
+// Los datos sin versión son de la versión 1, anterior a este esquema.
+
+const STORAGE_PREFIX = "betterdesk-";
+const VERSION_KEY = "betterdesk-schema-version";
+// Las listas de IndexedDB llevan su propia versión porque se migran después,
+// al abrir la base de datos.
+const RECORDS_VERSION_KEY = "betterdesk-records-version";
+export const QUARANTINE_KEY = "betterdesk-quarantine";
+export const MIGRATION_BACKUP_KEY = "betterdesk-migration-backup";
+
+// Claves de control que no forman parte de los datos del usuario.
+const INTERNAL_KEYS = [VERSION_KEY, RECORDS_VERSION_KEY, MIGRATION_BACKUP_KEY];
+// Cachés que se pueden volver a pedir, como la del clima; tampoco van en las
+// copias de seguridad.
+const CACHE_PREFIX = "betterdesk-cache-";
+// Lo apartado y el estado de esta sesión (temporizador en marcha, escritorio
+// abierto) se quedan en el navegador: ni se copian ni se borran al restaurar.
+const LOCAL_ONLY_KEYS = [
+  QUARANTINE_KEY,
+  "betterdesk-pomodoro-timer",
+  "betterdesk-active-desk",
+];
+
+const readJson = (key, fallback) => {
+  try {
+    const item = window.localStorage.getItem(key);
+    return item ? JSON.parse(item) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+export const readQuarantine = () => readJson(QUARANTINE_KEY, []);
+
+// ---------- Errores de escritura ----------
+// Escribir puede fallar en cualquier momento (sobre todo por falta de
+// espacio); quien guarda lo notifica aquí en lugar de lanzar la excepción y
+// la interfaz decide cómo avisar.
+const errorListeners = new Set();
+
+export const onStorageError = (listener) => {
+  errorListeners.add(listener);
+  return () => errorListeners.delete(listener);
+};
+
+export const reportStorageError = (error, key) => {
+  console.error(`Storage error in ${key}:`, error);
+  errorListeners.forEach((listener) => listener(error, key));
+};
+
+// Chrome y Safari usan el nombre estándar; Firefox, uno propio o el código 1014.
+export const isQuotaExceeded = (error) =>
+  error?.name === "QuotaExceededError" ||
+  error?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+  error?.code === 22 ||
+  error?.code === 1014;
+
+export const clearQuarantine = () => {
+  window.localStorage.removeItem(QUARANTINE_KEY);
+};
+
+const getStoredVersion = () => {
+  const item = window.localStorage.getItem(VERSION_KEY);
+  return item === null ? 1 : Number(item);
+};
+
+const addToQuarantine = (rejected) => {
+  if (rejected.length === 0) return;
+  const quarantinedAt = Date.now();
+  window.localStorage.setItem(
+    QUARANTINE_KEY,
+    JSON.stringify([
+      ...readQuarantine(),
+      ...rejected.map((entry) => ({ ...entry, quarantinedAt })),
+    ])
+  );
+};
+
+// Registros apartados por clave, para el aviso de arranque.
+const countRejected = (rejected) =>
+  rejected.reduce(
+    (counts, { key }) => ({ ...counts, [key]: (counts[key] ?? 0) + 1 }),
+    {}
+  );
+
+// `schemas` asocia cada clave con `{ validate, validateRecord }`: `validate`
+// revisa el valor completo y `validateRecord` cada elemento de una lista.
+// Ambos devuelven un mensaje de error o null. Las claves sin esquema pasan
+// tal cual.
+export const validateStoredData = (data, schemas) => {
+  const valid = {};
+  const rejected = [];
+
+  Object.entries(data).forEach(([key, value]) => {
+    const schema = schemas[key] ?? {};
+    const problem = schema.validate?.(value);
+    if (problem) {
+      rejected.push({ key, value, reason: problem });
+      return;
+    }
+    if (!Array.isArray(value) || !schema.validateRecord) {
+      valid[key] = value;
+      return;
+    }
+
+    const seenIds = new Set();
+    valid[key] = value.filter((record) => {
+      const reason =
+        schema.validateRecord(record) ??
+        (seenIds.has(record.id) ? "Id duplicado" : null);
+      if (reason) {
+        rejected.push({ key, record, reason });
+        return false;
+      }
+      seenIds.add(record.id);
+      return true;
+    });
+  });
+
+  return { valid, rejected };
+};
+
+// Aplica en orden las migraciones posteriores a `fromVersion`.
+export const migrateData = (data, fromVersion, migrations) =>
+  migrations
+    .filter((migration) => migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version)
+    .reduce((migrated, migration) => migration.migrate(migrated), data);
+
+export const migrateStorage = ({ version, migrations, schemas }) => {
+  const fromVersion = getStoredVersion();
+  const report = {
+    fromVersion,
+    version,
+    migrated: false,
+    quarantined: {},
+    error: null,
+    newer: false,
+  };
+
+  if (!Number.isInteger(fromVersion) || fromVersion > version) {
+    // Datos de una versión posterior: no se tocan para no estropearlos.
+    report.newer = true;
+    return report;
+  }
+
+  const raw = {};
+  const data = {};
+  const rejected = [];
+  Object.keys(schemas).forEach((key) => {
+    const item = window.localStorage.getItem(key);
+    if (item === null) return;
+    raw[key] = item;
+    try {
+      data[key] = JSON.parse(item);
+    } catch {
+      rejected.push({ key, raw: item, reason: "JSON inválido" });
+    }
+  });
+
+  const pending = migrations.filter(
+    (migration) => migration.version > fromVersion
+  );
+
+  let migrated;
+  try {
+    migrated = migrateData(data, fromVersion, migrations);
+  } catch (error) {
+    report.error = error.message;
+    return report;
+  }
+
+  const result = validateStoredData(migrated, schemas);
+  rejected.push(...result.rejected);
+
+  try {
+    if (pending.length > 0) {
+      window.localStorage.setItem(
+        MIGRATION_BACKUP_KEY,
+        JSON.stringify({ fromVersion, savedAt: Date.now(), data: raw })
+      );
+    }
+    addToQuarantine(rejected);
+    new Set([...Object.keys(raw), ...Object.keys(result.valid)]).forEach(
+      (key) => {
+        if (!(key in result.valid)) {
+          window.localStorage.removeItem(key);
+          return;
+        }
+        const item = JSON.stringify(result.valid[key]);
+        if (item !== raw[key]) window.localStorage.setItem(key, item);
+      }
+    );
+    window.localStorage.setItem(VERSION_KEY, String(version));
+  } catch (error) {
+    report.error = error.message;
+    return report;
+  }
+
+  report.migrated = pending.length > 0;
+  report.quarantined = countRejected(rejected);
+  return report;
+};
+
+// ---------- IndexedDB ----------
+// Cada lista tiene su almacén, con un registro por elemento indexado por
+// `id`: guardar un cambio solo escribe los registros afectados.
+const DB_NAME = "betterdesk";
+const DB_VERSION = 1;
+const CHANNEL_NAME = "betterdesk-records";
+
+export const RECORD_STORES = {
+  "betterdesk-notes": "notes",
+  "betterdesk-reminders": "reminders",
+  "betterdesk-pomodoro-history": "pomodoro-history",
+};
+
+const hasIndexedDB = () => typeof indexedDB !== "undefined";
+
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(
+        transaction.error ??
+          new DOMException("Transacción cancelada", "AbortError")
+      );
+  });
+
+let databasePromise = null;
+// Si las listas están en IndexedDB; lo decide `loadRecordStores`.
+let recordsInDatabase = false;
+
+// La primera apertura crea los almacenes y copia en ellos las listas de
+// localStorage (ya validadas por `migrateStorage`, así que quedan en su
+// versión). Las claves antiguas se borran solo cuando la copia se ha
+// confirmado, así un fallo a medias no pierde nada: la próxima apertura
+// vuelve a intentarlo.
+export const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      let migratedKeys = [];
+
+      request.onupgradeneeded = (e) => {
+        const db = request.result;
+        if (e.oldVersion < 1) {
+          Object.entries(RECORD_STORES).forEach(([key, storeName]) => {
+            const store = db.createObjectStore(storeName, { keyPath: "id" });
+            const records = readJson(key, []);
+            if (!Array.isArray(records)) return;
+            records
+              .filter((record) => record?.id !== undefined)
+              .forEach((record) => store.put(record));
+          });
+          migratedKeys = Object.keys(RECORD_STORES);
+        }
+      };
+      request.onsuccess = () => {
+        if (migratedKeys.length > 0) {
+          window.localStorage.setItem(
+            RECORDS_VERSION_KEY,
+            String(getStoredVersion())
+          );
+        }
+        migratedKeys.forEach((key) => window.localStorage.removeItem(key));
+        const db = request.result;
+        // Otra pestaña con una versión más nueva necesita la base de datos;
+        // la siguiente operación la vuelve a abrir.
+        db.onversionchange = () => {
+          db.close();
+          databasePromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+const channel =
+  typeof BroadcastChannel === "undefined"
+    ? null
+    : new BroadcastChannel(CHANNEL_NAME);
+
+// Avisa a las demás pestañas de los cambios de un almacén: `{ store, put,
+// remove }` con los registros escritos y los ids borrados, o `{ store,
+// reset: true }` cuando se ha reemplazado entero.
+export const subscribeRecordChanges = (storeName, listener) => {
+  if (!channel) return () => {};
+  const handleMessage = (e) => {
+    if (e.data?.store === storeName) listener(e.data);
+  };
+  channel.addEventListener("message", handleMessage);
+  return () => channel.removeEventListener("message", handleMessage);
+};
+
+export const readAllRecords = async (storeName) => {
+  const db = await openDatabase();
+  return requestResult(
+    db.transaction(storeName).objectStore(storeName).getAll()
+  );
+};
+
+// Escribe y borra registros en una sola transacción.
+export const writeRecords = async (storeName, { put = [], remove = [] }) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, "readwrite");
+  const store = transaction.objectStore(storeName);
+  put.forEach((record) => store.put(record));
+  remove.forEach((id) => store.delete(id));
+  await transactionDone(transaction);
+  channel?.postMessage({ store: storeName, put, remove });
+};
+
+const replaceRecords = async (storeName, records) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, "readwrite");
+  const store = transaction.objectStore(storeName);
+  store.clear();
+  records.forEach((record) => store.put(record));
+  await transactionDone(transaction);
+  channel?.postMessage({ store: storeName, reset: true });
+};
+
+// Abre la base de datos y lee las listas antes de que la app las use.
+// Devuelve `{ records, quarantined, error }`, con `records` como
+// `{ [clave]: registros }`, o `records: null` si IndexedDB no existe o no se
+// puede abrir (navegación privada en algunos navegadores): entonces las
+// listas siguen en localStorage, que ya revisó `migrateStorage`.
+//
+// Las listas pasan por las mismas migraciones y esquemas que localStorage:
+// lo que no es válido se aparta a la cuarentena y se quita del almacén. Si la
+// migración falla, o los datos son de una versión posterior, se cargan tal
+// cual y no se escribe nada.
+export const loadRecordStores = async ({ version, migrations, schemas }) => {
+  const result = { records: null, quarantined: {}, error: null };
+  if (!hasIndexedDB()) return result;
+
+  const data = {};
+  try {
+    for (const [key, storeName] of Object.entries(RECORD_STORES)) {
+      data[key] = await readAllRecords(storeName);
+    }
+  } catch (error) {
+    console.error("IndexedDB unavailable, using localStorage:", error);
+    return result;
+  }
+  recordsInDatabase = true;
+  result.records = data;
+
+  // Sin versión propia (bases creadas antes de guardarla), las listas están
+  // en la de localStorage.
+  const fromVersion = Number(
+    window.localStorage.getItem(RECORDS_VERSION_KEY) ?? getStoredVersion()
+  );
+  if (!Number.isInteger(fromVersion) || fromVersion > version) return result;
+
+  let valid;
+  let rejected;
+  try {
+    ({ valid, rejected } = validateStoredData(
+      migrateData(data, fromVersion, migrations),
+      schemas
+    ));
+  } catch (error) {
+    result.error = error.message;
+    return result;
+  }
+
+  try {
+    addToQuarantine(rejected);
+    for (const [key, storeName] of Object.entries(RECORD_STORES)) {
+      valid[key] ??= [];
+      if (
+        fromVersion < version ||
+        rejected.some((entry) => entry.key === key)
+      ) {
+        await replaceRecords(storeName, valid[key]);
+      }
+    }
+    window.localStorage.setItem(RECORDS_VERSION_KEY, String(version));
+  } catch (error) {
+    result.error = error.message;
+    return result;
+  }
+
+  result.records = valid;
+  result.quarantined = countRejected(rejected);
+  return result;
+};
+
+// ---------- Copias de seguridad ----------
+const isUserKey = (key) =>
+  key.startsWith(STORAGE_PREFIX) &&
+  !key.startsWith(CACHE_PREFIX) &&
+  !INTERNAL_KEYS.includes(key) &&
+  !LOCAL_ONLY_KEYS.includes(key);
+
+const getUserKeys = () =>
+  Array.from({ length: window.localStorage.length }, (_, index) =>
+    window.localStorage.key(index)
+  ).filter(isUserKey);
+
+// Todos los datos del usuario, ya interpretados, con las listas de
+// IndexedDB bajo su clave `betterdesk-*` como si estuvieran en localStorage.
+export const readStoredData = async () => {
+  const data = Object.fromEntries(
+    getUserKeys().flatMap((key) => {
+      try {
+        return [[key, JSON.parse(window.localStorage.getItem(key))]];
+      } catch {
+        return [];
+      }
+    })
+  );
+  if (recordsInDatabase) {
+    for (const [key, storeName] of Object.entries(RECORD_STORES)) {
+      const records = await readAllRecords(storeName);
+      if (records.length > 0) data[key] = records;
+    }
+  }
+  return data;
+};
+
+// Sustituye todos los datos del usuario por `data`, ya en la versión actual.
+// Las claves que no son datos del usuario (de copias antiguas) se ignoran.
+export const replaceStoredData = async (incoming, version) => {
+  const data = Object.fromEntries(
+    Object.entries(incoming).filter(([key]) => isUserKey(key))
+  );
+  if (recordsInDatabase) {
+    for (const [key, storeName] of Object.entries(RECORD_STORES)) {
+      await replaceRecords(
+        storeName,
+        Array.isArray(data[key]) ? data[key] : []
+      );
+    }
+  }
+  const localData = recordsInDatabase
+    ? Object.fromEntries(
+        Object.entries(data).filter(([key]) => !(key in RECORD_STORES))
+      )
+    : data;
+  getUserKeys()
+    .filter((key) => !(key in localData))
+    .forEach((key) => window.localStorage.removeItem(key));
+  Object.entries(localData).forEach(([key, value]) => {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  });
+  window.localStorage.setItem(VERSION_KEY, String(version));
+  if (recordsInDatabase) {
+    window.localStorage.setItem(RECORDS_VERSION_KEY, String(version));
+  }
+};
@@ -0,0 +1,315 @@
+// ==================== WEATHER ====================
+// Servicio de clima compartido por todos los widgets de Clima:
+//
+//   - Los widgets que piden el mismo lugar con las mismas unidades comparten
+//     una sola petición y un solo refresco cada 10 minutos.
+//   - La última respuesta buena de cada consulta se guarda con su hora, así
+//     que sin conexión se sigue mostrando ("actualizado hace 2 h").
+//   - Un fallo de red o del servidor se reintenta con esperas crecientes
+//     antes de dar el error; una petición rechazada (4xx) no, porque
+//     repetirla daría lo mismo.
+//
+// El proveedor se puede sustituir. Open-Meteo acepta otra URL base, por
+// ejemplo la de un servidor simulado para pruebas; también se puede fijar
+// con la variable de entorno `VITE_WEATHER_API_URL`:
+//
+//   setWeatherProvider(
+//     createOpenMeteoProvider({ baseUrl: "http://localhost:4010" })
+//   );
+//
+// Un proveedor es `{ id, fetchForecast({ location, units, signal }) }` y
+// devuelve los datos con la forma de la respuesta de Open-Meteo. Si el
+// servicio responde con un error, lanza un Error con su `status` HTTP.
+
+const REFRESH_INTERVAL = 10 * 60 * 1000;
+const RETRY_DELAYS = [2000, 8000, 30000];
+const CACHE_KEY = "betterdesk-cache-weather";
+const CACHE_LIMIT = 20;
+
+const CURRENT_FIELDS = [
+  "temperature_2m",
+  "apparent_temperature",
+  "relative_humidity_2m",
+  "wind_speed_10m",
+  "uv_index",
+  "weather_code",
+  "is_day",
+];
+const HOURLY_FIELDS = [
+  "temperature_2m",
+  "precipitation_probability",
+  "weather_code",
+];
+const DAILY_FIELDS = [
+  "weather_code",
+  "temperature_2m_max",
+  "temperature_2m_min",
+  "precipitation_probability_max",
+  "precipitation_sum",
+];
+const FORECAST_DAYS = 7;
+
+export const createOpenMeteoProvider = ({
+  baseUrl = "https://api.open-meteo.com",
+} = {}) => ({
+  id: "open-meteo",
+  fetchForecast: async ({ location, units, signal }) => {
+    const params = new URLSearchParams({
+      latitude: String(location.latitude),
+      longitude: String(location.longitude),
+      temperature_unit: units.temperature,
+      wind_speed_unit: units.windSpeed,
+      precipitation_unit: units.precipitation,
+      current: CURRENT_FIELDS.join(","),
+      hourly: HOURLY_FIELDS.join(","),
+      daily: DAILY_FIELDS.join(","),
+      forecast_days: String(FORECAST_DAYS),
+      timezone: "auto",
+    });
+    const response = await fetch(`${baseUrl}/v1/forecast?${params}`, {
+      signal,
+    });
+    if (!response.ok) {
+      const error = new Error(
+        `El servicio del clima respondió ${response.status}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  },
+});
+
+let provider = createOpenMeteoProvider({
+  baseUrl: import.meta.env.VITE_WEATHER_API_URL || undefined,
+});
+
+// Cambiar de proveedor descarta lo que se estuviera pidiendo al anterior y
+// vuelve a pedir lo que se esté mostrando.
+export const setWeatherProvider = (next) => {
+  if (typeof next?.fetchForecast !== "function") {
+    throw new Error("El proveedor del clima necesita `fetchForecast`");
+  }
+  provider = next;
+  entries.forEach((entry) => {
+    if (entry.listeners.size === 0) return;
+    abortRefresh(entry);
+    refreshNow(entry);
+  });
+};
+
+export const getWeatherProvider = () => provider;
+
+// ---------- Caché ----------
+const readCache = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(CACHE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+// Se conservan las consultas más recientes. Si no cabe, se pierde: la caché
+// solo sirve para no quedarse sin nada que mostrar.
+const writeCache = (key, value) => {
+  try {
+    const cache = { ...readCache(), [key]: value };
+    const kept = Object.entries(cache)
+      .sort(([, a], [, b]) => b.fetchedAt - a.fetchedAt)
+      .slice(0, CACHE_LIMIT);
+    window.localStorage.setItem(
+      CACHE_KEY,
+      JSON.stringify(Object.fromEntries(kept))
+    );
+  } catch {
+    // Sin espacio o sin localStorage.
+  }
+};
+
+// ---------- Consultas compartidas ----------
+// Dos decimales (~1 km) bastan para que los widgets del mismo sitio
+// compartan consulta.
+const normalizeQuery = ({ location, units }) => ({
+  location: {
+    latitude: Math.round(Number(location.latitude) * 100) / 100,
+    longitude: Math.round(Number(location.longitude) * 100) / 100,
+  },
+  units: {
+    temperature: units.temperature,
+    windSpeed: units.windSpeed,
+    precipitation: units.precipitation,
+  },
+});
+
+const getQueryKey = ({ location, units }) =>
+  [
+    location.latitude,
+    location.longitude,
+    units.temperature,
+    units.windSpeed,
+    units.precipitation,
+  ].join("|");
+
+const entries = new Map();
+
+const notify = (entry, changes) => {
+  entry.snapshot = { ...entry.snapshot, ...changes };
+  entry.listeners.forEach((listener) => listener(entry.snapshot));
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timeout = setTimeout(resolve, ms);
+    signal.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timeout);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+
+// Tipo de fallo, para decidir si reintentar y cómo contarlo:
+//
+//   - "offline": el navegador está sin conexión; se vuelve a pedir al
+//     recuperarla.
+//   - "network": no llegó respuesta (`fetch` lo rechaza con TypeError).
+//   - "server": error del servidor (5xx) o demasiadas peticiones (429).
+//   - "request": el servicio rechazó la petición (el resto de 4xx).
+//   - "invalid": cualquier otro fallo, como una respuesta ilegible.
+const getErrorType = (error) => {
+  if (typeof error.status === "number") {
+    return error.status >= 500 || error.status === 429 ? "server" : "request";
+  }
+  if (error instanceof TypeError) {
+    return navigator.onLine === false ? "offline" : "network";
+  }
+  return "invalid";
+};
+
+const RETRYABLE_ERRORS = ["network", "server"];
+
+const fetchWithRetry = async (query, signal) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await provider.fetchForecast({ ...query, signal });
+    } catch (error) {
+      if (
+        signal.aborted ||
+        attempt >= RETRY_DELAYS.length ||
+        !RETRYABLE_ERRORS.includes(getErrorType(error))
+      ) {
+        throw error;
+      }
+      // Con algo de azar para que varias pestañas no reintenten a la vez.
+      await wait(RETRY_DELAYS[attempt] * (0.8 + Math.random() * 0.4), signal);
+    }
+  }
+};
+
+const refresh = async (entry) => {
+  if (entry.controller) return;
+  const controller = new AbortController();
+  entry.controller = controller;
+  notify(entry, { loading: true });
+  try {
+    const data = await fetchWithRetry(entry.query, controller.signal);
+    // Un proveedor que no atiende a `signal` puede responder ya cancelado.
+    if (controller.signal.aborted) return;
+    const fetchedAt = Date.now();
+    writeCache(entry.key, { data, fetchedAt });
+    notify(entry, { data, fetchedAt, loading: false, error: null });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error("Error fetching weather:", error);
+    // Los datos anteriores se mantienen.
+    notify(entry, {
+      loading: false,
+      error: { type: getErrorType(error), message: error.message },
+    });
+  } finally {
+    if (entry.controller === controller) entry.controller = null;
+  }
+};
+
+const schedule = (entry, delay) => {
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(async () => {
+    await refresh(entry);
+    if (entry.listeners.size > 0) schedule(entry, REFRESH_INTERVAL);
+  }, delay);
+};
+
+// Pide ya y deja el siguiente refresco automático a 10 minutos de ahora.
+const refreshNow = (entry) => {
+  schedule(entry, REFRESH_INTERVAL);
+  refresh(entry);
+};
+
+const abortRefresh = (entry) => {
+  entry.controller?.abort();
+  entry.controller = null;
+};
+
+const stop = (entry) => {
+  clearTimeout(entry.timer);
+  abortRefresh(entry);
+  entry.snapshot = { ...entry.snapshot, loading: false };
+};
+
+// `listener` recibe `{ data, fetchedAt, loading, error }` al suscribirse y
+// con cada cambio; `error` es null o `{ type, message }` (ver
+// `getErrorType`). Devuelve la función para darse de baja.
+export const subscribeWeather = (query, listener) => {
+  const normalized = normalizeQuery(query);
+  const key = getQueryKey(normalized);
+  let entry = entries.get(key);
+  if (!entry) {
+    const cached = readCache()[key];
+    entry = {
+      key,
+      query: normalized,
+      listeners: new Set(),
+      timer: null,
+      controller: null,
+      snapshot: {
+        data: cached?.data ?? null,
+        fetchedAt: cached?.fetchedAt ?? null,
+        loading: false,
+        error: null,
+      },
+    };
+    entries.set(key, entry);
+  }
+
+  entry.listeners.add(listener);
+  if (entry.listeners.size === 1) {
+    // Lo guardado hace menos de 10 minutos vale; si no, se pide ya.
+    const age = Date.now() - (entry.snapshot.fetchedAt ?? 0);
+    if (age >= REFRESH_INTERVAL) {
+      entry.snapshot = { ...entry.snapshot, loading: true };
+    }
+    schedule(entry, Math.max(0, REFRESH_INTERVAL - age));
+  }
+  listener(entry.snapshot);
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) stop(entry);
+  };
+};
+
+export const refreshWeather = (query) => {
+  const entry = entries.get(getQueryKey(normalizeQuery(query)));
+  if (entry?.listeners.size > 0) refreshNow(entry);
+};
+
+// Al recuperar la conexión se actualiza lo que falló mientras tanto.
+if (typeof window !== "undefined") {
+  window.addEventListener("online", () => {
+    entries.forEach((entry) => {
+      if (entry.listeners.size > 0 && entry.snapshot.error) refreshNow(entry);
+    });
+  });
+}
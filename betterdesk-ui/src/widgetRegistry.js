@@ -0,0 +1,76 @@
+// ==================== WIDGET REGISTRY ====================
+// Cada tipo de widget se declara una sola vez con `registerWidget`; el menú,
+// `addWidget` y el escritorio se generan a partir de este registro. Los
+// widgets propios de un equipo viven en `src/widgets/` y se registran al
+// cargarse (ver `main.jsx` y el ejemplo `widgets/resumen.jsx`); leen y cambian
+// los datos de la app con `useApp` de `appContext.js`:
+//
+//   registerWidget({
+//     id: "tareas",
+//     title: "Tareas",
+//     icon: ListTodo,
+//     defaultSize: { width: 400, height: 500 },
+//     settings: [],
+//     component: TareasWidget,
+//   });
+//
+// `component` recibe `{ widget, settings }` y dibuja solo el contenido: el
+// marco con cabecera, controles y tiradores lo pone el escritorio.
+// `headerActions` es un componente opcional que se muestra en la cabecera
+// junto al título.
+//
+// `settings` describe los ajustes de cada instancia como campos
+// `{ key, label, type, default }`, con `type` entre:
+//   - "string"
+//   - "number": admite `min`, `max` y `step`
+//   - "enum": `options` es una lista de `{ value, label }`
+//   - "list": lista de textos; `options` la limita a esos valores,
+//     `suggestions` propone valores, `minItems` fija un mínimo y
+//     `validate(item)` devuelve un mensaje de error o null
+//   - "location": `{ name, latitude, longitude, source }`, con `source`
+//     entre "search", "geolocation" y "manual"; se elige buscando con el
+//     proveedor de `geocoding.js`, con la ubicación del navegador o a mano
+// Los valores se guardan en `widget.settings`.
+
+const DEFAULT_WIDGET_SIZE = { width: 400, height: 500 };
+
+const DEFAULT_WIDGET_SIZE_LIMITS = {
+  minWidth: 260,
+  minHeight: 200,
+  maxWidth: 1080,
+  maxHeight: 1080,
+};
+
+const registry = new Map();
+
+export const registerWidget = (definition) => {
+  if (!definition?.id || typeof definition.id !== "string") {
+    throw new Error("El widget necesita un id");
+  }
+  if (!definition.component) {
+    throw new Error(`El widget "${definition.id}" necesita un componente`);
+  }
+
+  // Registrar de nuevo un id lo reemplaza, así la recarga en caliente de un
+  // módulo no deja definiciones duplicadas.
+  registry.set(definition.id, {
+    title: definition.id,
+    settings: [],
+    ...definition,
+    menuLabel: definition.menuLabel ?? definition.title ?? definition.id,
+    defaultSize: { ...DEFAULT_WIDGET_SIZE, ...definition.defaultSize },
+    sizeLimits: { ...DEFAULT_WIDGET_SIZE_LIMITS, ...definition.sizeLimits },
+  });
+};
+
+export const getWidgetType = (id) => registry.get(id);
+
+export const getWidgetTypes = () => [...registry.values()];
+
+// Valores por defecto del esquema combinados con `widget.settings`.
+export const getWidgetSettings = (definition, stored) => ({
+  ...Object.fromEntries(
+    definition.settings.map((field) => [field.key, field.default])
+  ),
+  ...stored,
+});
@@ -0,0 +1,112 @@
+// Widget de ejemplo de `src/widgets/`: resume el día con los datos de la app,
+// que lee con `useApp`, y añade notas rápidas con sus acciones. Se registra
+// solo al importarse desde `main.jsx`.
+import { memo, useMemo, useState } from "react";
+import { LayoutDashboard, Plus } from "lucide-react";
+import { registerWidget } from "../widgetRegistry";
+import { useApp } from "../appContext";
+
+const ResumenWidget = memo(() => {
+  const { state, addNote } = useApp();
+  const [quickNote, setQuickNote] = useState("");
+
+  const summary = useMemo(() => {
+    const startOfDay = new Date().setHours(0, 0, 0, 0);
+    return [
+      {
+        label: "Recordatorios pendientes",
+        value: state.reminders.filter((reminder) => !reminder.completed).length,
+      },
+      { label: "Notas", value: state.notes.length },
+      {
+        label: "Pomodoros hoy",
+        value: state.pomodoroHistory.filter(
+          (session) =>
+            session.phase === "work" &&
+            session.completed &&
+            session.startedAt >= startOfDay
+        ).length,
+      },
+    ];
+  }, [state.reminders, state.notes, state.pomodoroHistory]);
+
+  const handleAddNote = () => {
+    if (quickNote.trim()) {
+      addNote(quickNote.trim());
+      setQuickNote("");
+    }
+  };
+
+  return (
+    <div className="resumen-widget">
+      <dl className="resumen-list">
+        {summary.map((item) => (
+          <div key={item.label}>
+            <dt>{item.label}</dt>
+            <dd>{item.value}</dd>
+          </div>
+        ))}
+      </dl>
+      <div className="note-input">
+        <textarea
+          value={quickNote}
+          onChange={(e) => setQuickNote(e.target.value)}
+          placeholder="Nota rápida..."
+          rows={2}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && e.ctrlKey) handleAddNote();
+          }}
+        />
+        <button onClick={handleAddNote} className="btn-primary">
+          <Plus size={16} /> Agregar
+        </button>
+      </div>
+
+      <style>{`
+        .resumen-widget {
+          display: flex;
+          flex-direction: column;
+          gap: 16px;
+        }
+
+        .resumen-list {
+          display: grid;
+          gap: 8px;
+          margin: 0;
+        }
+
+        .resumen-list div {
+          display: flex;
+          justify-content: space-between;
+          align-items: baseline;
+          padding: 10px 12px;
+          background: var(--bg-tertiary);
+          border-radius: 10px;
+        }
+
+        .resumen-list dt {
+          color: var(--text-secondary);
+          font-size: 14px;
+        }
+
+        .resumen-list dd {
+          margin: 0;
+          font-size: 20px;
+          font-weight: 600;
+          font-variant-numeric: tabular-nums;
+        }
+      `}</style>
+    </div>
+  );
+});
+
+registerWidget({
+  id: "resumen",
+  title: "Resumen",
+  icon: LayoutDashboard,
+  defaultSize: { width: 360, height: 420 },
+  sizeLimits: { minWidth: 280, minHeight: 300, maxWidth: 720, maxHeight: 800 },
+  component: ResumenWidget,
+});
+
+export default ResumenWidget;